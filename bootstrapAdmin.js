@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const validator = require('validator');
+require('dotenv').config();
+
+// Import User model
+const User = require('./models/User');
+
+// One-time creation of the first admin account. Once any admin exists this
+// script refuses to run; further admins are invited from the admin panel.
+//
+// Usage:
+//   npm run bootstrap:admin -- --email admin@example.com --name "Admin User"
+//
+// The password is read from ADMIN_PASSWORD. When it is not set a random
+// password is generated and printed once.
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Read "--key value" pairs from the command line
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+};
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for admin bootstrap');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Create the first admin user
+const bootstrapAdmin = async ({ name, email, password }) => {
+    const existingAdmin = await User.findOne({ role: 'Admin' });
+    if (existingAdmin) {
+        throw new Error('An admin account already exists. Invite new admins from the admin panel instead.');
+    }
+
+    if (!email || !validator.isEmail(email)) {
+        throw new Error('Please provide a valid email with --email');
+    }
+
+    const generatedPassword = !password;
+    const adminPassword = password || crypto.randomBytes(12).toString('base64url');
+    if (adminPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    // Password is hashed by User model pre-save middleware. adminPermissions is left
+    // unset so the first admin holds every permission, including ones added later.
+    const adminUser = await User.create({
+        name: name || 'Admin User',
+        email,
+        password: adminPassword,
+        role: 'Admin',
+        isVerified: true,
+        emailVerified: true,
+        profile: {
+            department: 'Administration',
+            batch: 'Admin'
+        }
+    });
+
+    console.log('Admin user created successfully!');
+    console.log('Email:', adminUser.email);
+    if (generatedPassword) {
+        console.log('Generated password (shown once, change it after logging in):', adminPassword);
+    }
+
+    return adminUser;
+};
+
+// Main function
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    await connectDB();
+    try {
+        await bootstrapAdmin({
+            name: args.name,
+            email: args.email,
+            password: process.env.ADMIN_PASSWORD
+        });
+    } catch (error) {
+        console.error('Admin bootstrap failed:', error.message);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { bootstrapAdmin };
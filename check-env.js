@@ -41,13 +41,40 @@ console.log('');
 const optionalVars = [
     'PORT',
     'RATE_LIMIT_WINDOW_MS',
-    'RATE_LIMIT_MAX_REQUESTS'
+    'RATE_LIMIT_MAX_REQUESTS',
+    'JWT_ACCESS_EXPIRE',
+    'REFRESH_TOKEN_TTL_DAYS',
+    'FRONTEND_URL',
+    'MAIL_TRANSPORT',
+    'MAIL_FROM',
+    'SMTP_HOST',
+    'BRACU_EMAIL_DOMAINS',
+    'REQUIRE_ADMIN_2FA',
+    'ADMIN_INVITATION_TTL_HOURS',
+    'IMPERSONATION_TTL_MINUTES',
+    'ACCOUNT_DELETION_GRACE_DAYS',
+    'ALUMNI_VERIFICATION_VALIDITY_DAYS',
+    'ALUMNI_VERIFICATION_REMINDER_DAYS',
+    'ALUMNI_VERIFICATION_GRACE_DAYS',
+    'FILE_URL_SECRET',
+    'FILE_URL_TTL_SECONDS',
+    'STORAGE_DRIVER',
+    'S3_BUCKET',
+    'S3_REGION',
+    'S3_ENDPOINT',
+    'S3_FORCE_PATH_STYLE',
+    'MALWARE_SCANNER',
+    'CLAMAV_HOST',
+    'CLAMAV_PORT',
+    'CLAMAV_TIMEOUT_MS'
 ];
 
 console.log('📋 Optional Variables:');
 optionalVars.forEach(varName => {
     const value = process.env[varName];
-    if (value) {
+    if (value && varName.endsWith('_SECRET')) {
+        console.log(`   ✅ ${varName}: Set (${value.length} characters)`);
+    } else if (value) {
         console.log(`   ✅ ${varName}: ${value}`);
     } else {
         console.log(`   ⚠️  ${varName}: Using default value`);
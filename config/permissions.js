@@ -0,0 +1,56 @@
+// Admin permissions. Each admin account holds a subset of these; routes check
+// them with the requirePermission middleware.
+const ADMIN_PERMISSIONS = {
+    'verify:students': 'Review and verify student accounts',
+    'verify:alumni': 'Review and verify alumni accounts',
+    'verify:recruiters': 'Review and verify recruiter accounts',
+    'manage:users': 'Browse users, block or delete accounts and manage their sessions',
+    'moderate:spam': 'Monitor spam reports and adjust spam scores',
+    'manage:jobs': 'Edit, deactivate and delete job posts',
+    'manage:referrals': 'Browse and delete referrals',
+    'manage:courses': 'Delete courses',
+    'manage:domains': 'Maintain the trusted recruiter company domains',
+    'manage:admins': 'Invite admins and assign admin permissions',
+    'view:audit-log': 'Browse and export the audit log of admin actions',
+    'impersonate:users': 'View the app as another user through a read-only session',
+    'view:documents': 'Download the resumes and cover letters users attached to their profile, applications and referrals'
+};
+
+const ALL_ADMIN_PERMISSIONS = Object.keys(ADMIN_PERMISSIONS);
+
+// Named presets that can be assigned instead of listing permissions one by one
+const PERMISSION_SETS = {
+    superAdmin: ALL_ADMIN_PERMISSIONS,
+    verifier: ['verify:students', 'verify:alumni', 'verify:recruiters'],
+    moderator: ['moderate:spam', 'manage:jobs', 'manage:referrals', 'manage:courses'],
+    userManager: ['manage:users', 'moderate:spam', 'impersonate:users', 'view:documents']
+};
+
+// Permission needed to review the verification case of each account role
+const VERIFY_PERMISSIONS = {
+    Student: 'verify:students',
+    Alumni: 'verify:alumni',
+    Recruiter: 'verify:recruiters'
+};
+
+// Turn a request's { permissions, permissionSet } into a permission list.
+// Returns null when a permission or set name is unknown.
+const resolvePermissions = ({ permissions, permissionSet } = {}) => {
+    if (permissionSet !== undefined) {
+        return PERMISSION_SETS[permissionSet] ? [...PERMISSION_SETS[permissionSet]] : null;
+    }
+
+    if (!Array.isArray(permissions) || !permissions.every(p => ALL_ADMIN_PERMISSIONS.includes(p))) {
+        return null;
+    }
+
+    return [...new Set(permissions)];
+};
+
+module.exports = {
+    ADMIN_PERMISSIONS,
+    ALL_ADMIN_PERMISSIONS,
+    PERMISSION_SETS,
+    VERIFY_PERMISSIONS,
+    resolvePermissions
+};
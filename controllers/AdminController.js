@@ -1,7 +1,76 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Job = require('../models/Job');
+const Application = require('../models/Application');
 const Referral = require('../models/Referral');
 const SpamReport = require('../models/SpamReport');
+const CompanyDomain = require('../models/CompanyDomain');
+const Session = require('../models/Session');
+const AdminInvitation = require('../models/AdminInvitation');
+const AuditLog = require('../models/AuditLog');
+const VerificationCase = require('../models/VerificationCase');
+const mailService = require('../services/mailService');
+const { issueImpersonationToken } = require('../middleware/auth');
+const validator = require('validator');
+const { ADMIN_PERMISSIONS, PERMISSION_SETS, VERIFY_PERMISSIONS, resolvePermissions } = require('../config/permissions');
+
+// Fields captured in the audit log for each kind of change
+const AUDIT_FIELDS = {
+    alumniRenewal: ['alumniVerification.renewal.status', 'alumniVerification.expiresAt', 'profile.company', 'profile.jobTitle'],
+    companyDomain: ['domain', 'companyName', 'includeSubdomains', 'isActive', 'notes'],
+    job: ['title', 'company', 'location', 'type', 'deadline', 'postedBy', 'isActive'],
+    referral: ['jobId', 'studentId', 'alumniId', 'status'],
+    spamReport: ['status', 'adminNotes']
+};
+
+// Verification case decisions and the case status / audit action each one leads to
+const VERIFICATION_DECISIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    request_info: 'info_requested'
+};
+const VERIFICATION_AUDIT_ACTIONS = {
+    approve: 'user.verify',
+    reject: 'user.verification_reject',
+    request_info: 'user.verification_info_request'
+};
+
+// Account roles whose verification cases the admin may review
+const reviewableVerificationRoles = (admin) => Object.keys(VERIFY_PERMISSIONS)
+    .filter(role => admin.hasPermission(VERIFY_PERMISSIONS[role]));
+
+const AUDIT_LOG_CSV_COLUMNS = ['createdAt', 'actorEmail', 'actor', 'action', 'targetType', 'targetId', 'targetLabel', 'changes', 'reason', 'ipAddress', 'userAgent'];
+
+// "a,b" or a repeated query parameter (['a', 'b']) -> ['a', 'b']
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Build the audit log query from request filters
+const buildAuditLogQuery = (filters) => {
+    const [actor, targetId, from, to] = ['actor', 'targetId', 'from', 'to'].map(key => toList(filters[key])[0]);
+    const action = toList(filters.action);
+    const targetType = toList(filters.targetType);
+
+    const query = {};
+    if (actor) {
+        if (mongoose.Types.ObjectId.isValid(actor)) query.actor = actor;
+        else query.actorEmail = actor.toLowerCase();
+    }
+    if (action.length) query.action = { $in: action };
+    if (targetType.length) query.targetType = { $in: targetType };
+    if (targetId && mongoose.Types.ObjectId.isValid(targetId)) query.targetId = targetId;
+    if (from && !isNaN(Date.parse(from))) query.createdAt = { ...query.createdAt, $gte: new Date(from) };
+    if (to && !isNaN(Date.parse(to))) query.createdAt = { ...query.createdAt, $lte: new Date(to) };
+    return query;
+};
+
+// Quote a CSV cell, neutralising values a spreadsheet would run as a formula
+const toCsvCell = (value) => {
+    let text = value === null || value === undefined ? '' : value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
 
 class AdminController {
     // Get admin dashboard statistics
@@ -21,11 +90,7 @@ class AdminController {
                 User.countDocuments(),
                 Job.countDocuments(),
                 Referral.countDocuments(),
-                User.countDocuments({
-                    role: 'Alumni',
-                    'alumniVerification.idCardUploaded': true,
-                    'alumniVerification.idCardVerified': false
-                }),
+                VerificationCase.countDocuments({ status: 'pending' }),
                 User.countDocuments({ spamScore: { $gte: 5 } }),
                 Job.countDocuments({ isActive: true }),
                 User.find().sort({ createdAt: -1 }).limit(5).select('name email role isVerified'),
@@ -59,403 +124,1414 @@ class AdminController {
         }
     }
 
-    // Get pending alumni verifications
-    static async getPendingAlumniVerifications(req, res) {
+    // Get the verification case queue, limited to the roles this admin may verify
+    static async getVerificationCases(req, res) {
+        try {
+            const { role, status = 'pending', page = 1, limit = 10 } = req.query;
+
+            const reviewableRoles = reviewableVerificationRoles(req.user);
+            if (role && !reviewableRoles.includes(role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing admin permission.',
+                    requiredPermissions: [VERIFY_PERMISSIONS[role]].filter(Boolean)
+                });
+            }
+
+            const query = { role: role || { $in: reviewableRoles } };
+            if (status !== 'all') {
+                query.status = { $in: status.split(',') };
+            }
+
+            const cases = await VerificationCase.find(query)
+                .populate('user', 'name email role isVerified emailVerified profile createdAt')
+                .select('-comments -history')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ submittedAt: 1 });
+
+            const total = await VerificationCase.countDocuments(query);
+
+            // Pending counts per role for the queue's filter tabs
+            const pendingByRole = await VerificationCase.aggregate([
+                { $match: { status: 'pending', role: { $in: reviewableRoles } } },
+                { $group: { _id: '$role', count: { $sum: 1 } } }
+            ]);
+            const pending = Object.fromEntries(reviewableRoles.map(reviewableRole => [
+                reviewableRole,
+                pendingByRole.find(entry => entry._id === reviewableRole)?.count || 0
+            ]));
+
+            // Alumni transitions and renewals are reviewed in their own queues
+            if (reviewableRoles.includes('Alumni')) {
+                [pending.alumniTransitions, pending.alumniRenewals] = await Promise.all([
+                    User.countDocuments({ role: 'Student', 'alumniTransition.status': 'pending' }),
+                    User.countDocuments({ role: 'Alumni', 'alumniVerification.renewal.status': 'pending' })
+                ]);
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    cases,
+                    pending,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalCases: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get verification cases error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get verification cases',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get a verification case with its documents, comments and history
+    static async getVerificationCase(req, res) {
+        try {
+            const verificationCase = await VerificationCase.findById(req.params.id)
+                .populate('user', '-password')
+                .populate('comments.author', 'name role')
+                .populate('history.changedBy', 'name role')
+                .populate('reviewedBy', 'name email');
+
+            if (!verificationCase) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Verification case not found'
+                });
+            }
+
+            if (!req.user.hasPermission(VERIFY_PERMISSIONS[verificationCase.role])) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing admin permission.',
+                    requiredPermissions: [VERIFY_PERMISSIONS[verificationCase.role]]
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { case: verificationCase }
+            });
+        } catch (error) {
+            console.error('Get verification case error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get verification case',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Approve, reject or ask for more information on a verification case
+    static async reviewVerificationCase(req, res) {
+        try {
+            const { decision, comment } = req.body;
+
+            const status = VERIFICATION_DECISIONS[decision];
+            if (!status) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Decision must be one of: ${Object.keys(VERIFICATION_DECISIONS).join(', ')}`
+                });
+            }
+
+            if (decision === 'request_info' && !comment) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please describe the information you need from the user'
+                });
+            }
+
+            const verificationCase = await VerificationCase.findById(req.params.id).populate('user', '-password');
+            if (!verificationCase || !verificationCase.user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Verification case not found'
+                });
+            }
+
+            if (!req.user.hasPermission(VERIFY_PERMISSIONS[verificationCase.role])) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing admin permission.',
+                    requiredPermissions: [VERIFY_PERMISSIONS[verificationCase.role]]
+                });
+            }
+
+            if (verificationCase.status === status) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Verification case is already ${status.replace('_', ' ')}`
+                });
+            }
+
+            if (decision === 'request_info' && verificationCase.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'More information can only be requested on a pending case'
+                });
+            }
+
+            const user = verificationCase.user;
+            const before = { isVerified: user.isVerified, status: verificationCase.status };
+
+            verificationCase.review(status, req.user.id, comment || '');
+            if (comment) {
+                verificationCase.addComment(req.user.id, comment, true);
+            }
+
+            if (decision === 'approve') {
+                user.isVerified = true;
+                if (user.role === 'Alumni') {
+                    user.renewAlumniVerification(req.user.id);
+                }
+            } else if (decision === 'reject') {
+                user.isVerified = false;
+            }
+
+            await user.save();
+            await verificationCase.save();
+
+            await AuditLog.record(req, {
+                action: VERIFICATION_AUDIT_ACTIONS[decision],
+                target: user,
+                before,
+                after: { isVerified: user.isVerified, status: verificationCase.status },
+                reason: comment
+            });
+
+            if (decision === 'approve') {
+                await mailService.notify('verificationApproved', user.email, {
+                    name: user.name,
+                    role: user.role
+                });
+            } else if (decision === 'reject') {
+                await mailService.notify('verificationRejected', user.email, {
+                    name: user.name,
+                    role: user.role,
+                    notes: comment
+                });
+            } else {
+                await mailService.notify('verificationInfoRequested', user.email, {
+                    name: user.name,
+                    role: user.role,
+                    comment,
+                    respondUrl: mailService.frontendUrl('/settings/verification')
+                });
+            }
+
+            res.json({
+                success: true,
+                message: {
+                    approve: 'Account verified successfully',
+                    reject: 'Account verification rejected',
+                    request_info: 'More information requested from the user'
+                }[decision],
+                data: { case: verificationCase }
+            });
+        } catch (error) {
+            console.error('Review verification case error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to review verification case',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Add a reviewer comment to a verification case
+    static async addVerificationCaseComment(req, res) {
+        try {
+            const { body } = req.body;
+
+            if (!body || !body.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Comment cannot be empty'
+                });
+            }
+
+            const verificationCase = await VerificationCase.findById(req.params.id);
+            if (!verificationCase) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Verification case not found'
+                });
+            }
+
+            if (!req.user.hasPermission(VERIFY_PERMISSIONS[verificationCase.role])) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing admin permission.',
+                    requiredPermissions: [VERIFY_PERMISSIONS[verificationCase.role]]
+                });
+            }
+
+            verificationCase.addComment(req.user.id, body, true);
+            await verificationCase.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Comment added',
+                data: { comment: verificationCase.comments[verificationCase.comments.length - 1] }
+            });
+        } catch (error) {
+            console.error('Add verification case comment error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to add comment',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get pending student-to-alumni transition requests
+    static async getPendingAlumniTransitions(req, res) {
         try {
             const { page = 1, limit = 10 } = req.query;
 
-            // Show only unverified alumni for admin review
             const query = {
-                role: 'Alumni',
-                isVerified: false
+                role: 'Student',
+                'alumniTransition.status': 'pending'
             };
 
-            const alumni = await User.find(query)
+            const students = await User.find(query)
                 .select('-password')
                 .limit(limit * 1)
                 .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
+                .sort({ 'alumniTransition.requestedAt': 1 });
 
             const total = await User.countDocuments(query);
 
             res.json({
                 success: true,
                 data: {
-                    alumni,
+                    students,
                     pagination: {
                         currentPage: parseInt(page),
                         totalPages: Math.ceil(total / limit),
-                        totalAlumni: total
+                        totalRequests: total
                     }
                 }
             });
         } catch (error) {
-            console.error('Get pending alumni verifications error:', error);
+            console.error('Get pending alumni transitions error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get pending alumni verifications',
+                message: 'Failed to get pending alumni transitions',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Verify alumni account
-    static async verifyAlumniAccount(req, res) {
+    // Approve or reject a student's request to become alumni
+    static async reviewAlumniTransition(req, res) {
         try {
-            const { alumniId } = req.params;
+            const { userId } = req.params;
             const { isApproved, verificationNotes } = req.body;
 
-            const alumni = await User.findById(alumniId);
-            if (!alumni) {
+            // A string such as "false" must not count as an approval
+            if (typeof isApproved !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'isApproved must be true or false'
+                });
+            }
+
+            const user = await User.findById(userId);
+            if (!user) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Alumni not found'
+                    message: 'User not found'
                 });
             }
 
-            if (alumni.role !== 'Alumni') {
+            if (user.role !== 'Student' || user.alumniTransition?.status !== 'pending') {
                 return res.status(400).json({
                     success: false,
-                    message: 'User is not an alumni'
+                    message: 'User has no pending alumni transition request'
                 });
             }
 
-            if (isApproved) {
-                // Approve alumni account
-                alumni.isVerified = true;
-                alumni.alumniVerification.idCardVerified = true;
-                alumni.alumniVerification.verifiedBy = req.user.id;
-                alumni.alumniVerification.verifiedAt = new Date();
-                alumni.alumniVerification.verificationNotes = verificationNotes || 'Approved by admin';
+            const auditFields = ['role', 'isVerified', 'alumniTransition.status', 'alumniVerification.expiresAt'];
+            const before = AuditLog.snapshot(user, auditFields);
 
-                await alumni.save();
+            user.alumniTransition.reviewedBy = req.user.id;
+            user.alumniTransition.reviewedAt = new Date();
 
-                res.json({
-                    success: true,
-                    message: 'Alumni account verified successfully',
-                    data: { alumni }
-                });
+            if (isApproved) {
+                // Same account and history, now with alumni capabilities
+                user.role = 'Alumni';
+                user.isVerified = true;
+                user.alumniTransition.status = 'approved';
+                user.alumniTransition.reviewNotes = verificationNotes || 'Approved by admin';
+                user.renewAlumniVerification(req.user.id);
             } else {
-                // Reject alumni account
-                alumni.alumniVerification.verificationNotes = verificationNotes || 'Rejected by admin';
-                alumni.alumniVerification.verifiedBy = req.user.id;
-                alumni.alumniVerification.verifiedAt = new Date();
+                user.alumniTransition.status = 'rejected';
+                user.alumniTransition.reviewNotes = verificationNotes || 'Rejected by admin';
+            }
 
-                await alumni.save();
+            await user.save();
 
-                res.json({
-                    success: true,
-                    message: 'Alumni account verification rejected',
-                    data: { alumni }
+            // The verification case follows the account to its new role; an open one is settled by this review
+            if (isApproved) {
+                const verificationCase = await VerificationCase.findOne({ user: user._id });
+                if (verificationCase) {
+                    verificationCase.role = 'Alumni';
+                    if (verificationCase.status !== 'approved') {
+                        verificationCase.review('approved', req.user.id, 'Approved with the alumni transition');
+                    }
+                    await verificationCase.save();
+                }
+            }
+
+            await AuditLog.record(req, {
+                action: isApproved ? 'user.alumni_transition_approve' : 'user.alumni_transition_reject',
+                target: user,
+                before,
+                after: AuditLog.snapshot(user, auditFields),
+                reason: verificationNotes
+            });
+
+            if (isApproved) {
+                await mailService.notify('verificationApproved', user.email, {
+                    name: user.name,
+                    role: user.role
+                });
+            } else {
+                await mailService.notify('verificationRejected', user.email, {
+                    name: user.name,
+                    role: 'Alumni',
+                    notes: verificationNotes
                 });
             }
+
+            res.json({
+                success: true,
+                message: isApproved
+                    ? 'Student transitioned to alumni successfully'
+                    : 'Alumni transition request rejected',
+                data: { user }
+            });
         } catch (error) {
-            console.error('Verify alumni account error:', error);
+            console.error('Review alumni transition error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to verify alumni account',
+                message: 'Failed to review alumni transition',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Get pending student verifications
-    static async getPendingStudentVerifications(req, res) {
+    // Get alumni with pending verification renewals
+    static async getPendingAlumniRenewals(req, res) {
         try {
             const { page = 1, limit = 10 } = req.query;
 
-            // Show only unverified students for admin review
             const query = {
-                role: 'Student',
-                isVerified: false
+                role: 'Alumni',
+                'alumniVerification.renewal.status': 'pending'
             };
 
-            const students = await User.find(query)
+            const alumni = await User.find(query)
                 .select('-password')
                 .limit(limit * 1)
                 .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
+                .sort({ 'alumniVerification.renewal.submittedAt': 1 });
 
             const total = await User.countDocuments(query);
 
             res.json({
                 success: true,
                 data: {
-                    students,
+                    alumni,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalRequests: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get pending alumni renewals error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get pending alumni renewals',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Approve or reject an alumni's updated employment evidence
+    static async reviewAlumniRenewal(req, res) {
+        try {
+            const { userId } = req.params;
+            const { isApproved, verificationNotes } = req.body;
+
+            // A string such as "false" must not count as an approval
+            if (typeof isApproved !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'isApproved must be true or false'
+                });
+            }
+
+            const alumni = await User.findById(userId);
+            if (!alumni) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Alumni not found'
+                });
+            }
+
+            const renewal = alumni.alumniVerification?.renewal;
+            if (alumni.role !== 'Alumni' || renewal?.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Alumni has no pending verification renewal'
+                });
+            }
+
+            const before = AuditLog.snapshot(alumni, AUDIT_FIELDS.alumniRenewal);
+
+            renewal.reviewedBy = req.user.id;
+            renewal.reviewedAt = new Date();
+
+            if (isApproved) {
+                // A new validity period starts and the profile reflects the verified employer
+                renewal.status = 'approved';
+                renewal.reviewNotes = verificationNotes || 'Approved by admin';
+                alumni.renewAlumniVerification(req.user.id);
+                alumni.profile.company = renewal.company;
+                if (renewal.jobTitle) alumni.profile.jobTitle = renewal.jobTitle;
+            } else {
+                renewal.status = 'rejected';
+                renewal.reviewNotes = verificationNotes || 'Rejected by admin';
+            }
+
+            await alumni.save();
+
+            await AuditLog.record(req, {
+                action: isApproved ? 'user.alumni_renewal_approve' : 'user.alumni_renewal_reject',
+                target: alumni,
+                before,
+                after: AuditLog.snapshot(alumni, AUDIT_FIELDS.alumniRenewal),
+                reason: verificationNotes
+            });
+
+            if (isApproved) {
+                await mailService.notify('verificationApproved', alumni.email, {
+                    name: alumni.name,
+                    role: alumni.role
+                });
+            } else {
+                await mailService.notify('verificationRejected', alumni.email, {
+                    name: alumni.name,
+                    role: alumni.role,
+                    notes: verificationNotes
+                });
+            }
+
+            res.json({
+                success: true,
+                message: isApproved
+                    ? 'Alumni verification renewed successfully'
+                    : 'Alumni verification renewal rejected',
+                data: { alumni }
+            });
+        } catch (error) {
+            console.error('Review alumni renewal error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to review alumni verification renewal',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get the admin permission catalog and the current admin's permissions
+    static async getPermissionCatalog(req, res) {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    permissions: ADMIN_PERMISSIONS,
+                    permissionSets: PERMISSION_SETS,
+                    myPermissions: req.user.getPermissions()
+                }
+            });
+        } catch (error) {
+            console.error('Get permission catalog error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get permissions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get admin accounts and their permissions
+    static async getAdmins(req, res) {
+        try {
+            const admins = await User.find({ role: 'Admin' })
+                .select('name email isBlocked adminPermissions createdAt')
+                .sort({ createdAt: 1 });
+
+            res.json({
+                success: true,
+                data: {
+                    admins: admins.map(admin => ({
+                        _id: admin._id,
+                        name: admin.name,
+                        email: admin.email,
+                        isBlocked: admin.isBlocked,
+                        permissions: admin.getPermissions(),
+                        createdAt: admin.createdAt
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Get admins error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get admins',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Replace another admin's permissions
+    static async updateAdminPermissions(req, res) {
+        try {
+            const { id } = req.params;
+            const { permissions, permissionSet } = req.body;
+
+            if (id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot change your own permissions'
+                });
+            }
+
+            const grantedPermissions = resolvePermissions({ permissions, permissionSet });
+            if (!grantedPermissions) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unknown permission or permission set'
+                });
+            }
+
+            const admin = await User.findById(id);
+            if (!admin || admin.role !== 'Admin') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Admin not found'
+                });
+            }
+
+            // Admins can only add or remove permissions they hold themselves
+            const previousPermissions = admin.getPermissions();
+            const changed = [
+                ...grantedPermissions.filter(permission => !previousPermissions.includes(permission)),
+                ...previousPermissions.filter(permission => !grantedPermissions.includes(permission))
+            ];
+            const notHeld = changed.filter(permission => !req.user.hasPermission(permission));
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot change permissions you do not hold',
+                    permissions: notHeld
+                });
+            }
+
+            admin.adminPermissions = grantedPermissions;
+            await admin.save();
+
+            await AuditLog.record(req, {
+                action: 'admin.permissions_update',
+                target: admin,
+                before: { permissions: previousPermissions },
+                after: { permissions: admin.getPermissions() },
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'Admin permissions updated successfully',
+                data: {
+                    admin: {
+                        _id: admin._id,
+                        name: admin.name,
+                        email: admin.email,
+                        permissions: admin.getPermissions()
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Update admin permissions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update admin permissions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get admin invitations
+    static async getAdminInvitations(req, res) {
+        try {
+            const { page = 1, limit = 20 } = req.query;
+
+            const invitations = await AdminInvitation.find()
+                .populate('invitedBy', 'name email')
+                .populate('acceptedUser', 'name email')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await AdminInvitation.countDocuments();
+
+            res.json({
+                success: true,
+                data: {
+                    invitations,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalInvitations: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get admin invitations error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get admin invitations',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Invite a new admin by email
+    static async createAdminInvitation(req, res) {
+        try {
+            const { email, name, permissions, permissionSet } = req.body;
+
+            if (!email || !validator.isEmail(email.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a valid email'
+                });
+            }
+
+            const grantedPermissions = permissions === undefined && permissionSet === undefined
+                ? []
+                : resolvePermissions({ permissions, permissionSet });
+            if (!grantedPermissions) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unknown permission or permission set'
+                });
+            }
+
+            // Admins cannot hand out permissions they do not hold themselves
+            const notHeld = grantedPermissions.filter(permission => !req.user.hasPermission(permission));
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot grant permissions you do not hold',
+                    permissions: notHeld
+                });
+            }
+
+            const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User already exists with this email'
+                });
+            }
+
+            const { invitation, token } = await AdminInvitation.createForEmail(email.trim(), {
+                name,
+                permissions: grantedPermissions,
+                invitedBy: req.user.id
+            });
+
+            await AuditLog.record(req, {
+                action: 'admin.invite',
+                target: invitation,
+                after: { email: invitation.email, permissions: invitation.permissions }
+            });
+
+            await mailService.notify('adminInvitation', invitation.email, {
+                name: invitation.name,
+                inviterName: req.user.name,
+                acceptUrl: mailService.frontendUrl(`/accept-admin-invitation?token=${token}`),
+                expiresAt: invitation.expiresAt.toUTCString()
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Admin invitation sent successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Create admin invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send admin invitation',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Revoke a pending admin invitation
+    static async revokeAdminInvitation(req, res) {
+        try {
+            const { id } = req.params;
+
+            const invitation = await AdminInvitation.findById(id);
+            if (!invitation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Invitation not found'
+                });
+            }
+
+            if (invitation.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invitation is already ${invitation.status}`
+                });
+            }
+
+            invitation.revokedAt = new Date();
+            invitation.revokedBy = req.user.id;
+            await invitation.save();
+
+            await AuditLog.record(req, {
+                action: 'admin.invitation_revoke',
+                target: invitation,
+                before: { status: 'pending' },
+                after: { status: invitation.status },
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'Invitation revoked successfully',
+                data: { invitation }
+            });
+        } catch (error) {
+            console.error('Revoke admin invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke invitation',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get trusted company domains
+    static async getCompanyDomains(req, res) {
+        try {
+            const { page = 1, limit = 20, search, isActive } = req.query;
+
+            const query = {};
+            if (isActive !== undefined) query.isActive = isActive === 'true';
+            if (search) {
+                query.$or = [
+                    { domain: { $regex: search, $options: 'i' } },
+                    { companyName: { $regex: search, $options: 'i' } }
+                ];
+            }
+
+            const domains = await CompanyDomain.find(query)
+                .populate('addedBy', 'name email')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ domain: 1 });
+
+            const total = await CompanyDomain.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    domains,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalDomains: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get company domains error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get company domains',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Add a trusted company domain
+    static async createCompanyDomain(req, res) {
+        try {
+            const { domain, companyName, includeSubdomains, notes } = req.body;
+
+            if (!domain || !companyName) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Domain and company name are required'
+                });
+            }
+
+            if (typeof domain !== 'string' || !validator.isFQDN(domain.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a valid domain'
+                });
+            }
+
+            const existingDomain = await CompanyDomain.findOne({ domain: domain.toLowerCase().trim() });
+            if (existingDomain) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Domain is already in the allowlist'
+                });
+            }
+
+            const companyDomain = await CompanyDomain.create({
+                domain,
+                companyName,
+                includeSubdomains,
+                notes,
+                addedBy: req.user.id
+            });
+
+            await AuditLog.record(req, {
+                action: 'company_domain.create',
+                target: companyDomain,
+                after: AuditLog.snapshot(companyDomain, AUDIT_FIELDS.companyDomain)
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Company domain added successfully',
+                data: { domain: companyDomain }
+            });
+        } catch (error) {
+            console.error('Create company domain error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to add company domain',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Update a trusted company domain
+    static async updateCompanyDomain(req, res) {
+        try {
+            const { id } = req.params;
+            const { companyName, includeSubdomains, isActive, notes } = req.body;
+
+            const companyDomain = await CompanyDomain.findById(id);
+            if (!companyDomain) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Company domain not found'
+                });
+            }
+
+            const before = AuditLog.snapshot(companyDomain, AUDIT_FIELDS.companyDomain);
+
+            if (companyName !== undefined) companyDomain.companyName = companyName;
+            if (includeSubdomains !== undefined) companyDomain.includeSubdomains = includeSubdomains;
+            if (isActive !== undefined) companyDomain.isActive = isActive;
+            if (notes !== undefined) companyDomain.notes = notes;
+
+            await companyDomain.save();
+
+            await AuditLog.record(req, {
+                action: 'company_domain.update',
+                target: companyDomain,
+                before,
+                after: AuditLog.snapshot(companyDomain, AUDIT_FIELDS.companyDomain),
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'Company domain updated successfully',
+                data: { domain: companyDomain }
+            });
+        } catch (error) {
+            console.error('Update company domain error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update company domain',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Remove a trusted company domain
+    static async deleteCompanyDomain(req, res) {
+        try {
+            const { id } = req.params;
+
+            const companyDomain = await CompanyDomain.findById(id);
+            if (!companyDomain) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Company domain not found'
+                });
+            }
+
+            await CompanyDomain.findByIdAndDelete(id);
+
+            await AuditLog.record(req, {
+                action: 'company_domain.delete',
+                target: companyDomain,
+                before: AuditLog.snapshot(companyDomain, AUDIT_FIELDS.companyDomain),
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'Company domain removed successfully'
+            });
+        } catch (error) {
+            console.error('Delete company domain error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to remove company domain',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get all users with filters
+    static async getAllUsers(req, res) {
+        try {
+            const { page = 1, limit = 10, role, isVerified, search, spamScore } = req.query;
+
+            const query = {};
+            if (role) query.role = role;
+            if (isVerified !== undefined) query.isVerified = isVerified === 'true';
+            if (spamScore) query.spamScore = { $gte: parseInt(spamScore) };
+            if (search) {
+                query.$or = [
+                    { name: { $regex: search, $options: 'i' } },
+                    { email: { $regex: search, $options: 'i' } }
+                ];
+            }
+
+            const users = await User.find(query)
+                .select('-password')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await User.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    users,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalUsers: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get all users error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get users',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get spam monitor data
+    static async getSpamMonitor(req, res) {
+        try {
+            const { page = 1, limit = 10 } = req.query;
+
+            const users = await User.find({ spamScore: { $gte: 3 } })
+                .select('-password')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ spamScore: -1, createdAt: -1 });
+
+            const total = await User.countDocuments({ spamScore: { $gte: 3 } });
+
+            res.json({
+                success: true,
+                data: {
+                    users,
                     pagination: {
                         currentPage: parseInt(page),
                         totalPages: Math.ceil(total / limit),
-                        totalStudents: total
+                        totalUsers: total
                     }
                 }
             });
         } catch (error) {
-            console.error('Get pending student verifications error:', error);
+            console.error('Get spam monitor error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get pending student verifications',
+                message: 'Failed to get spam monitor data',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Verify student account
-    static async verifyStudentAccount(req, res) {
+    // Block/Unblock user
+    static async toggleUserBlock(req, res) {
         try {
-            const { studentId } = req.params;
-            const { isApproved, verificationNotes } = req.body;
+            const { id } = req.params;
+            const { isBlocked, reason } = req.body;
 
-            const student = await User.findById(studentId);
-            if (!student) {
+            const user = await User.findById(id);
+            if (!user) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Student not found'
+                    message: 'User not found'
                 });
             }
 
-            if (student.role !== 'Student') {
+            if (user._id.equals(req.user._id)) {
                 return res.status(400).json({
                     success: false,
-                    message: 'User is not a student'
+                    message: 'You cannot block your own account'
                 });
             }
 
-            // Initialize verification fields if they don't exist
-            if (!student.studentVerification) {
-                student.studentVerification = {
-                    studentIdCardUploaded: true,
-                    studentIdCardVerified: false,
-                    verifiedBy: null,
-                    verifiedAt: null,
-                    verificationNotes: ''
-                };
+            if (!user.canBeManagedBy(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts can only be blocked by admins holding manage:admins and all of their permissions'
+                });
             }
 
-            if (isApproved) {
-                // Approve student account
-                student.isVerified = true;
-                student.studentVerification.studentIdCardVerified = true;
-                student.studentVerification.verifiedBy = req.user.id;
-                student.studentVerification.verifiedAt = new Date();
-                student.studentVerification.verificationNotes = verificationNotes || 'Approved by admin';
+            const before = AuditLog.snapshot(user, ['isBlocked', 'spamScore']);
 
-                await student.save();
+            user.isBlocked = isBlocked;
 
-                res.json({
-                    success: true,
-                    message: 'Student account verified successfully',
-                    data: { student }
-                });
+            // Update spam score based on action
+            if (isBlocked) {
+                user.spamScore = Math.min(user.spamScore + 2, 10);
             } else {
-                // Reject student account
-                student.studentVerification.verificationNotes = verificationNotes || 'Rejected by admin';
-                student.studentVerification.verifiedBy = req.user.id;
-                student.studentVerification.verifiedAt = new Date();
+                user.spamScore = Math.max(user.spamScore - 1, 0);
+            }
 
-                await student.save();
+            await user.save();
 
-                res.json({
-                    success: true,
-                    message: 'Student account verification rejected',
-                    data: { student }
-                });
+            // Blocking signs the user out everywhere
+            if (isBlocked) {
+                await Session.revokeAllForUser(user._id, 'blocked');
             }
+
+            await AuditLog.record(req, {
+                action: isBlocked ? 'user.block' : 'user.unblock',
+                target: user,
+                before,
+                after: AuditLog.snapshot(user, ['isBlocked', 'spamScore']),
+                reason
+            });
+
+            res.json({
+                success: true,
+                message: `User ${isBlocked ? 'blocked' : 'unblocked'} successfully`,
+                data: { user }
+            });
         } catch (error) {
-            console.error('Verify student account error:', error);
+            console.error('Toggle user block error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to verify student account',
+                message: 'Failed to update user status',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Get pending recruiter verifications
-    static async getPendingRecruiterVerifications(req, res) {
+    // Get accounts currently locked out after failed logins
+    static async getLockedAccounts(req, res) {
         try {
             const { page = 1, limit = 10 } = req.query;
 
-            // Show only unverified recruiters for admin review
-            const query = {
-                role: 'Recruiter',
-                isVerified: false
-            };
+            const query = { lockUntil: { $gt: new Date() } };
 
-            const recruiters = await User.find(query)
-                .select('-password')
+            const users = await User.find(query)
+                .select('name email role failedLoginAttempts lastFailedLoginAt lockUntil lockCount')
                 .limit(limit * 1)
                 .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
+                .sort({ lockUntil: -1 });
 
             const total = await User.countDocuments(query);
 
             res.json({
                 success: true,
                 data: {
-                    recruiters,
+                    users,
                     pagination: {
                         currentPage: parseInt(page),
                         totalPages: Math.ceil(total / limit),
-                        totalRecruiters: total
+                        totalUsers: total
                     }
                 }
             });
         } catch (error) {
-            console.error('Get pending recruiter verifications error:', error);
+            console.error('Get locked accounts error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get pending recruiter verifications',
+                message: 'Failed to get locked accounts',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Verify recruiter account
-    static async verifyRecruiterAccount(req, res) {
+    // Clear a user's login lockout and failed attempt count
+    static async unlockUser(req, res) {
         try {
-            const { recruiterId } = req.params;
-            const { isApproved, verificationNotes } = req.body;
+            const { id } = req.params;
 
-            const recruiter = await User.findById(recruiterId);
-            if (!recruiter) {
+            const user = await User.findById(id);
+            if (!user) {
                 return res.status(404).json({
                     success: false,
-                    message: 'Recruiter not found'
+                    message: 'User not found'
                 });
             }
 
-            if (recruiter.role !== 'Recruiter') {
+            const before = AuditLog.snapshot(user, ['failedLoginAttempts', 'lockUntil', 'lockCount']);
+
+            user.resetLoginFailures();
+            await user.save();
+
+            await AuditLog.record(req, {
+                action: 'user.login_unlock',
+                target: user,
+                before,
+                after: AuditLog.snapshot(user, ['failedLoginAttempts', 'lockUntil', 'lockCount']),
+                reason: req.body.reason
+            });
+
+            res.json({
+                success: true,
+                message: 'User unlocked successfully',
+                data: {
+                    user: {
+                        _id: user._id,
+                        name: user.name,
+                        email: user.email,
+                        failedLoginAttempts: user.failedLoginAttempts,
+                        lockUntil: user.lockUntil
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Unlock user error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to unlock user',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Start a read-only impersonation session to view the app as a user
+    static async startImpersonation(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            if (!reason || !reason.trim()) {
                 return res.status(400).json({
                     success: false,
-                    message: 'User is not a recruiter'
+                    message: 'A reason is required to impersonate a user'
                 });
             }
 
-            if (isApproved) {
-                // Approve recruiter account
-                recruiter.isVerified = true;
-                recruiter.recruiterVerification.companyDocumentVerified = true;
-                recruiter.recruiterVerification.verifiedBy = req.user.id;
-                recruiter.recruiterVerification.verifiedAt = new Date();
-                recruiter.recruiterVerification.verificationNotes = verificationNotes || 'Approved by admin';
-
-                await recruiter.save();
+            if (id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot impersonate yourself'
+                });
+            }
 
-                res.json({
-                    success: true,
-                    message: 'Recruiter account verified successfully',
-                    data: { recruiter }
+            const user = await User.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
                 });
-            } else {
-                // Reject recruiter account
-                recruiter.recruiterVerification.verificationNotes = verificationNotes || 'Rejected by admin';
-                recruiter.recruiterVerification.verifiedBy = req.user.id;
-                recruiter.recruiterVerification.verifiedAt = new Date();
+            }
 
-                await recruiter.save();
+            if (user.role === 'Admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts cannot be impersonated'
+                });
+            }
 
-                res.json({
-                    success: true,
-                    message: 'Recruiter account verification rejected',
-                    data: { recruiter }
+            if (user.isBlocked) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Blocked accounts cannot be impersonated'
                 });
             }
+
+            const { token, session } = await issueImpersonationToken(user._id, req.user._id, req);
+
+            await AuditLog.record(req, {
+                action: 'user.impersonation_start',
+                target: user,
+                after: { sessionId: session._id, expiresAt: session.expiresAt },
+                reason
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `Impersonating ${user.name}. This session is read-only.`,
+                data: {
+                    token,
+                    sessionId: session._id,
+                    expiresAt: session.expiresAt,
+                    readOnly: true,
+                    user: {
+                        _id: user._id,
+                        name: user.name,
+                        email: user.email,
+                        role: user.role
+                    }
+                }
+            });
         } catch (error) {
-            console.error('Verify recruiter account error:', error);
+            console.error('Start impersonation error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to verify recruiter account',
+                message: 'Failed to start impersonation',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Get all users with filters
-    static async getAllUsers(req, res) {
+    // Get impersonation sessions that are still active
+    static async getActiveImpersonations(req, res) {
         try {
-            const { page = 1, limit = 10, role, isVerified, search, spamScore } = req.query;
+            const sessions = await Session.find({
+                impersonatedBy: { $ne: null },
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            })
+                .populate('userId', 'name email role')
+                .populate('impersonatedBy', 'name email')
+                .sort({ createdAt: -1 });
 
-            const query = {};
-            if (role) query.role = role;
-            if (isVerified !== undefined) query.isVerified = isVerified === 'true';
-            if (spamScore) query.spamScore = { $gte: parseInt(spamScore) };
-            if (search) {
-                query.$or = [
-                    { name: { $regex: search, $options: 'i' } },
-                    { email: { $regex: search, $options: 'i' } }
-                ];
+            res.json({
+                success: true,
+                data: { sessions }
+            });
+        } catch (error) {
+            console.error('Get impersonations error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get impersonation sessions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // End an impersonation session
+    static async stopImpersonation(req, res) {
+        try {
+            const { sessionId } = req.params;
+
+            const session = await Session.findOne({ _id: sessionId, impersonatedBy: { $ne: null } })
+                .populate('userId', 'name email');
+            if (!session || !session.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Impersonation session not found'
+                });
             }
 
-            const users = await User.find(query)
-                .select('-password')
-                .limit(limit * 1)
-                .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
+            await session.revoke('impersonation_end');
 
-            const total = await User.countDocuments(query);
+            await AuditLog.record(req, {
+                action: 'user.impersonation_stop',
+                targetType: 'User',
+                targetId: session.userId?._id,
+                targetLabel: session.userId?.email,
+                before: { sessionId: session._id, impersonatedBy: session.impersonatedBy },
+                reason: req.body.reason
+            });
 
             res.json({
                 success: true,
-                data: {
-                    users,
-                    pagination: {
-                        currentPage: parseInt(page),
-                        totalPages: Math.ceil(total / limit),
-                        totalUsers: total
-                    }
-                }
+                message: 'Impersonation ended successfully'
             });
         } catch (error) {
-            console.error('Get all users error:', error);
+            console.error('Stop impersonation error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get users',
+                message: 'Failed to end impersonation',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Get spam monitor data
-    static async getSpamMonitor(req, res) {
+    // Get a user's active sessions
+    static async getUserSessions(req, res) {
         try {
-            const { page = 1, limit = 10 } = req.query;
+            const { id } = req.params;
 
-            const users = await User.find({ spamScore: { $gte: 3 } })
-                .select('-password')
-                .limit(limit * 1)
-                .skip((page - 1) * limit)
-                .sort({ spamScore: -1, createdAt: -1 });
+            const user = await User.findById(id).select('name email role isBlocked');
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
 
-            const total = await User.countDocuments({ spamScore: { $gte: 3 } });
+            const sessions = await Session.findActiveForUser(user._id, { includeImpersonations: true });
 
             res.json({
                 success: true,
-                data: {
-                    users,
-                    pagination: {
-                        currentPage: parseInt(page),
-                        totalPages: Math.ceil(total / limit),
-                        totalUsers: total
-                    }
-                }
+                data: { user, sessions }
             });
         } catch (error) {
-            console.error('Get spam monitor error:', error);
+            console.error('Get user sessions error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get spam monitor data',
+                message: 'Failed to get user sessions',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Block/Unblock user
-    static async toggleUserBlock(req, res) {
+    // Sign out one session of a user, or all of them when no session is given
+    static async revokeUserSessions(req, res) {
         try {
-            const { id } = req.params;
-            const { isBlocked, reason } = req.body;
+            const { id, sessionId } = req.params;
 
-            const user = await User.findById(id);
+            const user = await User.findById(id).select('_id email role adminPermissions');
             if (!user) {
                 return res.status(404).json({
                     success: false,
@@ -463,27 +1539,64 @@ class AdminController {
                 });
             }
 
-            user.isBlocked = isBlocked;
+            if (user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot sign out your own account'
+                });
+            }
 
-            // Update spam score based on action
-            if (isBlocked) {
-                user.spamScore = Math.min(user.spamScore + 2, 10);
-            } else {
-                user.spamScore = Math.max(user.spamScore - 1, 0);
+            if (!user.canBeManagedBy(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts can only be signed out by admins holding manage:admins and all of their permissions'
+                });
             }
 
-            await user.save();
+            if (sessionId) {
+                const session = await Session.findOne({ _id: sessionId, userId: user._id });
+                if (!session || !session.isActive) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Session not found'
+                    });
+                }
+
+                await session.revoke('admin');
+
+                await AuditLog.record(req, {
+                    action: 'user.sessions_revoke',
+                    target: user,
+                    after: { sessionId: session._id, revokedCount: 1 },
+                    reason: req.body.reason
+                });
+
+                return res.json({
+                    success: true,
+                    message: 'Session signed out successfully',
+                    data: { revokedCount: 1 }
+                });
+            }
+
+            const result = await Session.revokeAllForUser(user._id, 'admin');
+
+            await AuditLog.record(req, {
+                action: 'user.sessions_revoke',
+                target: user,
+                after: { sessionId: 'all', revokedCount: result.modifiedCount },
+                reason: req.body.reason
+            });
 
             res.json({
                 success: true,
-                message: `User ${isBlocked ? 'blocked' : 'unblocked'} successfully`,
-                data: { user }
+                message: 'All sessions signed out successfully',
+                data: { revokedCount: result.modifiedCount }
             });
         } catch (error) {
-            console.error('Toggle user block error:', error);
+            console.error('Revoke user sessions error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to update user status',
+                message: 'Failed to sign out user sessions',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -510,9 +1623,19 @@ class AdminController {
                 });
             }
 
+            const before = AuditLog.snapshot(user, ['spamScore']);
+
             user.spamScore = spamScore;
             await user.save();
 
+            await AuditLog.record(req, {
+                action: 'user.spam_score_update',
+                target: user,
+                before,
+                after: AuditLog.snapshot(user, ['spamScore']),
+                reason
+            });
+
             res.json({
                 success: true,
                 message: 'Spam score updated successfully',
@@ -585,9 +1708,19 @@ class AdminController {
                 });
             }
 
+            const before = AuditLog.snapshot(job, ['isActive']);
+
             job.isActive = !job.isActive;
             await job.save();
 
+            await AuditLog.record(req, {
+                action: 'job.status_toggle',
+                target: job,
+                before,
+                after: AuditLog.snapshot(job, ['isActive']),
+                reason: req.body.reason
+            });
+
             res.json({
                 success: true,
                 message: `Job ${job.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -617,6 +1750,14 @@ class AdminController {
             }
 
             await Job.findByIdAndDelete(id);
+            await Application.deleteMany({ job: id });
+
+            await AuditLog.record(req, {
+                action: 'job.delete',
+                target: job,
+                before: AuditLog.snapshot(job, AUDIT_FIELDS.job),
+                reason: req.body.reason
+            });
 
             res.json({
                 success: true,
@@ -692,6 +1833,13 @@ class AdminController {
 
             await Referral.findByIdAndDelete(id);
 
+            await AuditLog.record(req, {
+                action: 'referral.delete',
+                target: referral,
+                before: AuditLog.snapshot(referral, AUDIT_FIELDS.referral),
+                reason: req.body.reason
+            });
+
             res.json({
                 success: true,
                 message: 'Referral deleted successfully'
@@ -706,6 +1854,74 @@ class AdminController {
         }
     }
 
+    // Get audit log entries with filters
+    static async getAuditLog(req, res) {
+        try {
+            const { page = 1, limit = 50 } = req.query;
+
+            const query = buildAuditLogQuery(req.query);
+
+            const entries = await AuditLog.find(query)
+                .populate('actor', 'name email')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await AuditLog.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: {
+                    entries,
+                    actions: AuditLog.ACTIONS,
+                    pagination: {
+                        currentPage: parseInt(page),
+                        totalPages: Math.ceil(total / limit),
+                        totalEntries: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get audit log error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get audit log',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Export audit log entries matching the filters as CSV
+    static async exportAuditLog(req, res) {
+        try {
+            const query = buildAuditLogQuery(req.query);
+            const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+            res.write(`${AUDIT_LOG_CSV_COLUMNS.join(',')}\n`);
+
+            for await (const entry of cursor) {
+                const row = AUDIT_LOG_CSV_COLUMNS.map(column => toCsvCell(
+                    column === 'changes' ? JSON.stringify(entry.changes || []) : entry[column]
+                ));
+                res.write(`${row.join(',')}\n`);
+            }
+
+            res.end();
+        } catch (error) {
+            console.error('Export audit log error:', error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export audit log',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Spam detection logic
     static async detectSpam(text, userId) {
         try {
@@ -972,12 +2188,22 @@ class AdminController {
                 });
             }
 
+            const before = AuditLog.snapshot(report, AUDIT_FIELDS.spamReport);
+
             if (action === 'resolve') {
                 await report.resolve(req.user.id, notes);
             } else if (action === 'dismiss') {
                 await report.dismiss(req.user.id, notes);
             }
 
+            await AuditLog.record(req, {
+                action: 'spam_report.resolve',
+                target: report,
+                before,
+                after: AuditLog.snapshot(report, AUDIT_FIELDS.spamReport),
+                reason: notes
+            });
+
             res.json({
                 success: true,
                 message: `Spam report ${action}d successfully`,
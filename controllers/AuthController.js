@@ -1,8 +1,70 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const validator = require('validator');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const CompanyDomain = require('../models/CompanyDomain');
+const AdminInvitation = require('../models/AdminInvitation');
+const Session = require('../models/Session');
+const VerificationCase = require('../models/VerificationCase');
+const { generateToken, issueAuthTokens } = require('../middleware/auth');
+const mailService = require('../services/mailService');
+const totp = require('../services/totp');
+const QRCode = require('qrcode');
+
+const EMAIL_CODE_RESEND_COOLDOWN_SECONDS = 60;
+const EMAIL_CODE_MAX_SENDS_PER_DAY = 5;
+const EMAIL_CHANGE_CODE_FIELDS = '+pendingEmailChange.oldAddressCode +pendingEmailChange.newAddressCode';
+const TWO_FACTOR_ROLES = ['Admin', 'Recruiter'];
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Save a fresh confirmation code on the user and email it to them
+const sendEmailVerificationCode = async (user) => {
+    const code = user.createEmailVerificationCode();
+    await user.save();
+
+    const query = new URLSearchParams({ email: user.email, code }).toString();
+
+    await mailService.notify('emailVerification', user.email, {
+        name: user.name,
+        code,
+        confirmUrl: mailService.frontendUrl(`/confirm-email?${query}`),
+        expiresInMinutes: 15
+    });
+};
+
+// Record a failed login attempt and tell the owner when it locks the account
+const recordFailedLogin = async (user) => {
+    const locked = await user.registerFailedLogin();
+    if (locked) {
+        await mailService.notify('accountLocked', user.email, {
+            name: user.name,
+            lockedUntil: user.lockUntil.toUTCString(),
+            resetUrl: mailService.frontendUrl('/forgot-password')
+        });
+    }
+    return locked;
+};
+
+// Respond to a login attempt made while the account is locked or throttled
+const sendLoginThrottled = (res, user) => {
+    const retryAfter = user.loginRetryAfterSeconds();
+    res.set('Retry-After', String(retryAfter));
+
+    if (user.isLoginLocked()) {
+        return res.status(423).json({
+            success: false,
+            message: 'Account temporarily locked due to too many failed login attempts. Please try again later or reset your password.',
+            retryAfter
+        });
+    }
+
+    return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter
+    });
+};
 
 class AuthController {
     // Register new user
@@ -56,46 +118,61 @@ class AuthController {
             if (role === 'Alumni' || role === 'Student') {
                 if (bracuIdCard) {
                     userData.profile.bracuIdCard = bracuIdCard.filename;
-                    if (role === 'Alumni') {
-                        userData.alumniVerification = {
-                            idCardUploaded: true,
-                            idCardVerified: false
-                        };
-                    } else if (role === 'Student') {
-                        userData.studentVerification = {
-                            studentIdCardUploaded: true,
-                            studentIdCardVerified: false
-                        };
-                    }
                 }
             }
 
             // Add recruiter verification fields
+            let trustedDomain = null;
             if (role === 'Recruiter') {
+                trustedDomain = await CompanyDomain.findTrustedForEmail(email);
                 userData.recruiterVerification = {
-                    companyDocumentUploaded: false,
-                    companyDocumentVerified: false
+                    trustedDomain: trustedDomain ? trustedDomain._id : null
                 };
             }
 
-            // Create user
-            const user = await User.create(userData);
+            // Create user. Students and alumni on university addresses, and recruiters on trusted
+            // company domains, must confirm their address first; everyone else waits for admin review.
+            const user = new User(userData);
+            const isBracuMember = (role === 'Student' || role === 'Alumni') && user.isBracuEmail();
+            if (isBracuMember || trustedDomain) {
+                user.emailVerified = false;
+                await sendEmailVerificationCode(user);
+            } else {
+                await user.save();
+            }
+
+            // Queue the account for admin review; trusted-domain recruiters get their case on confirmation
+            if (!trustedDomain) {
+                const verificationCase = await VerificationCase.openForUser(user);
+                if (bracuIdCard) {
+                    verificationCase.addDocument('bracuIdCard', bracuIdCard.filename);
+                }
+                await verificationCase.save();
+            }
 
-            // Generate token
-            const token = generateToken(user._id);
+            // Accounts that still have to confirm their email get a session once they do
+            const { token, refreshToken } = user.requiresEmailVerification()
+                ? {}
+                : await issueAuthTokens(user._id, req);
 
             res.status(201).json({
                 success: true,
-                message: 'Account created successfully. Please wait for admin verification before you can access the platform.',
+                message: trustedDomain
+                    ? 'Account created successfully. Enter the code we emailed you to confirm your address and activate your account.'
+                    : user.requiresEmailVerification()
+                        ? 'Account created successfully. Enter the code we emailed you to confirm your address, then wait for admin verification.'
+                        : 'Account created successfully. Please wait for admin verification before you can access the platform.',
                 data: {
                     user: {
                         _id: user._id,
                         name: user.name,
                         email: user.email,
                         role: user.role,
-                        isVerified: user.isVerified
+                        isVerified: user.isVerified,
+                        emailVerificationRequired: user.requiresEmailVerification()
                     },
-                    token
+                    token,
+                    refreshToken
                 }
             });
         } catch (error) {
@@ -130,6 +207,15 @@ class AuthController {
                 });
             }
 
+            // University addresses must be confirmed before anything else
+            if (user.requiresEmailVerification()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Please confirm your email address before logging in.',
+                    emailVerificationRequired: true
+                });
+            }
+
             // Check if user is verified (for all user types)
             if (!user.isVerified) {
                 return res.status(401).json({
@@ -138,18 +224,50 @@ class AuthController {
                 });
             }
 
+            // Per-account lockout and progressive delay after repeated failures
+            if (user.loginRetryAfterSeconds() > 0) {
+                return sendLoginThrottled(res, user);
+            }
+
             // Check password
             const isPasswordValid = await user.correctPassword(password);
 
             if (!isPasswordValid) {
+                const locked = await recordFailedLogin(user);
+                if (locked) {
+                    return sendLoginThrottled(res, user);
+                }
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
                 });
             }
 
-            // Generate token
-            const token = generateToken(user._id);
+            // Accounts with 2FA get a short-lived challenge token instead of a session
+            if (user.twoFactor?.enabled) {
+                const twoFactorToken = jwt.sign(
+                    { id: user._id, purpose: 'two_factor' },
+                    process.env.JWT_SECRET,
+                    { expiresIn: '5m' }
+                );
+
+                return res.json({
+                    success: true,
+                    message: 'Two-factor authentication code required',
+                    data: {
+                        twoFactorRequired: true,
+                        twoFactorToken
+                    }
+                });
+            }
+
+            if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+                user.resetLoginFailures();
+                await user.save();
+            }
+
+            // Open a session and generate tokens
+            const { token, refreshToken } = await issueAuthTokens(user._id, req);
 
             res.json({
                 success: true,
@@ -161,9 +279,11 @@ class AuthController {
                         email: user.email,
                         role: user.role,
                         isVerified: user.isVerified,
-                        profile: user.profile
+                        profile: user.profile,
+                        deletionScheduledFor: user.deletion?.scheduledFor || null
                     },
-                    token
+                    token,
+                    refreshToken
                 }
             });
         } catch (error) {
@@ -176,61 +296,389 @@ class AuthController {
         }
     }
 
-    // Create admin account (Development only - REMOVE IN PRODUCTION)
-    static async createAdmin(req, res) {
+    // Complete login with a TOTP or backup code
+    static async verifyTwoFactorLogin(req, res) {
+        try {
+            const { twoFactorToken, code } = req.body;
+
+            if (!twoFactorToken || !code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor token and code are required'
+                });
+            }
+
+            let decoded;
+            try {
+                decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+            } catch (tokenError) {
+                decoded = null;
+            }
+
+            if (!decoded || decoded.purpose !== 'two_factor') {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Two-factor session expired. Please log in again.'
+                });
+            }
+
+            const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+            if (!user || user.isBlocked) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid credentials'
+                });
+            }
+
+            if (user.loginRetryAfterSeconds() > 0) {
+                return sendLoginThrottled(res, user);
+            }
+
+            const method = user.verifyTwoFactorCode(code);
+            if (!method) {
+                const locked = await recordFailedLogin(user);
+                if (locked) {
+                    return sendLoginThrottled(res, user);
+                }
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            user.resetLoginFailures();
+            await user.save();
+
+            const { token, refreshToken } = await issueAuthTokens(user._id, req, { twoFactorVerified: true });
+
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: {
+                    user: {
+                        _id: user._id,
+                        name: user.name,
+                        email: user.email,
+                        role: user.role,
+                        isVerified: user.isVerified,
+                        profile: user.profile,
+                        deletionScheduledFor: user.deletion?.scheduledFor || null
+                    },
+                    token,
+                    refreshToken,
+                    backupCodesRemaining: method === 'backup' ? user.twoFactor.backupCodes.length : undefined
+                }
+            });
+        } catch (error) {
+            console.error('Verify two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Start two-factor enrollment: generate a secret and its QR code
+    static async setupTwoFactor(req, res) {
+        try {
+            if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is available for admin and recruiter accounts'
+                });
+            }
+
+            const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+            if (user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+
+            const secret = totp.generateSecret();
+            user.twoFactor.pendingSecret = secret;
+            await user.save();
+
+            const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+            const qrCode = await QRCode.toDataURL(otpauthUri);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then confirm with a code',
+                data: {
+                    secret,
+                    otpauthUri,
+                    qrCode
+                }
+            });
+        } catch (error) {
+            console.error('Setup two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start two-factor setup',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Finish two-factor enrollment by confirming a code from the new secret
+    static async enableTwoFactor(req, res) {
+        try {
+            const { code } = req.body;
+
+            const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+            if (!user.twoFactor.pendingSecret) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Start two-factor setup first'
+                });
+            }
+
+            const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+            if (step === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            user.twoFactor.secret = user.twoFactor.pendingSecret;
+            user.twoFactor.pendingSecret = null;
+            user.twoFactor.lastUsedStep = step;
+            user.twoFactor.enabled = true;
+            user.twoFactor.enabledAt = new Date();
+            const backupCodes = user.generateBackupCodes();
+            await user.save();
+
+            // The code just confirmed counts as the second factor for this session
+            req.authSession.twoFactorVerified = true;
+            await req.authSession.save();
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+                data: { backupCodes }
+            });
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to enable two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Turn off two-factor authentication (password and current code required)
+    static async disableTwoFactor(req, res) {
         try {
-            // Only allow in development environment
-            if (process.env.NODE_ENV === 'production') {
+            const { password, code } = req.body;
+
+            const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+            if (!user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (user.mustUseTwoFactor()) {
                 return res.status(403).json({
                     success: false,
-                    message: 'Admin creation not allowed in production'
+                    message: 'Two-factor authentication is mandatory for admin accounts'
+                });
+            }
+
+            const isPasswordValid = await user.correctPassword(password || '');
+            if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid password or authentication code'
+                });
+            }
+
+            user.twoFactor.enabled = false;
+            user.twoFactor.secret = null;
+            user.twoFactor.pendingSecret = null;
+            user.twoFactor.backupCodes = [];
+            user.twoFactor.lastUsedStep = null;
+            user.twoFactor.enabledAt = null;
+            await user.save();
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable two-factor authentication',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Replace the backup codes (current code required)
+    static async regenerateBackupCodes(req, res) {
+        try {
+            const { code } = req.body;
+
+            const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+            if (!user.twoFactor.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (user.verifyTwoFactorCode(code) !== 'totp') {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            const backupCodes = user.generateBackupCodes();
+            await user.save();
+
+            res.json({
+                success: true,
+                message: 'New backup codes generated. Previous codes no longer work.',
+                data: { backupCodes }
+            });
+        } catch (error) {
+            console.error('Regenerate backup codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to regenerate backup codes',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Look up a pending admin invitation so the accept page can show who it is for
+    static async getAdminInvitation(req, res) {
+        try {
+            const { token } = req.query;
+
+            const invitation = token ? await AdminInvitation.findPendingByToken(token) : null;
+            if (!invitation) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired invitation'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    invitation: {
+                        email: invitation.email,
+                        name: invitation.name,
+                        expiresAt: invitation.expiresAt
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get admin invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get invitation',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Accept an admin invitation and create the admin account
+    static async acceptAdminInvitation(req, res) {
+        try {
+            const { token, name, password } = req.body;
+
+            if (!token || !password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invitation token and password are required'
+                });
+            }
+
+            if (password.length < 8) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Admin passwords must be at least 8 characters'
+                });
+            }
+
+            const invitation = await AdminInvitation.findPendingByToken(token);
+            if (!invitation) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired invitation'
                 });
             }
 
-            const { name, email, password } = req.body;
+            const adminName = (name || invitation.name || '').trim();
+            if (!adminName) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Name is required'
+                });
+            }
 
-            // Check if admin already exists
-            const existingAdmin = await User.findOne({ role: 'Admin' });
-            if (existingAdmin) {
+            const existingUser = await User.findOne({ email: invitation.email });
+            if (existingUser) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Admin account already exists'
+                    message: 'User already exists with this email'
                 });
             }
 
-            // Create admin user
-            const adminData = {
-                name: name || 'Admin User',
-                email: email || 'admin@bracu.edu.bd',
-                password: password || 'Admin@123',
+            const admin = await User.create({
+                name: adminName,
+                email: invitation.email,
+                password,
                 role: 'Admin',
+                adminPermissions: invitation.permissions,
                 isVerified: true,
+                emailVerified: true,
                 profile: {
                     department: 'Administration',
                     batch: 'Admin'
                 }
-            };
+            });
 
-            const admin = await User.create(adminData);
+            invitation.acceptedAt = new Date();
+            invitation.acceptedUser = admin._id;
+            await invitation.save();
+
+            // Open a session and generate tokens
+            const { token: accessToken, refreshToken } = await issueAuthTokens(admin._id, req);
 
             res.status(201).json({
                 success: true,
-                message: 'Admin account created successfully',
+                message: admin.mustUseTwoFactor()
+                    ? 'Admin account created successfully. Set up two-factor authentication to access admin features.'
+                    : 'Admin account created successfully',
                 data: {
                     user: {
                         _id: admin._id,
                         name: admin.name,
                         email: admin.email,
                         role: admin.role,
-                        isVerified: admin.isVerified
-                    }
+                        isVerified: admin.isVerified,
+                        permissions: admin.getPermissions()
+                    },
+                    token: accessToken,
+                    refreshToken
                 }
             });
         } catch (error) {
-            console.error('Create admin error:', error);
+            console.error('Accept admin invitation error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to create admin account',
+                message: 'Failed to accept invitation',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -257,7 +705,9 @@ class AuthController {
                         role: user.role,
                         isVerified: user.isVerified,
                         profile: user.profile
-                    }
+                    },
+                    // Set when an admin is viewing the app as this user
+                    impersonatedBy: req.impersonatedBy || null
                 }
             });
         } catch (error) {
@@ -293,8 +743,20 @@ class AuthController {
 
             await user.save();
 
-            // TODO: Send email with reset token
-            // For now, just return success
+            try {
+                await mailService.sendTemplate('passwordReset', user.email, {
+                    name: user.name,
+                    resetUrl: mailService.frontendUrl(`/reset-password?token=${resetToken}`),
+                    expiresInMinutes: 10
+                });
+            } catch (mailError) {
+                // Don't leave a usable token behind if the user never received it
+                user.passwordResetToken = undefined;
+                user.passwordResetExpires = undefined;
+                await user.save();
+                throw mailError;
+            }
+
             res.json({
                 success: true,
                 message: 'Password reset email sent'
@@ -336,9 +798,13 @@ class AuthController {
             user.password = password;
             user.passwordResetToken = undefined;
             user.passwordResetExpires = undefined;
+            user.resetLoginFailures();
 
             await user.save();
 
+            // Sign out every device that was using the old password
+            await Session.revokeAllForUser(user._id, 'password_reset');
+
             res.json({
                 success: true,
                 message: 'Password reset successful'
@@ -374,17 +840,11 @@ class AuthController {
                 });
             }
 
-            // Validate recruiter domain
+            // Recruiters on a trusted company domain are verified once they confirm their email;
+            // any other domain is accepted but goes to admin review
+            let trustedDomain = null;
             if (role === 'Recruiter') {
-                const domain = email.split('@')[1];
-                // Add your domain validation logic here
-                const validDomains = ['company.com', 'recruiter.com']; // Example domains
-                if (!validDomains.includes(domain)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Invalid recruiter domain'
-                    });
-                }
+                trustedDomain = await CompanyDomain.findTrustedForEmail(email);
             }
 
             // Validate alumni BRACU ID
@@ -405,7 +865,11 @@ class AuthController {
                 data: {
                     email,
                     role,
-                    isAvailable: true
+                    isAvailable: true,
+                    ...(role === 'Recruiter' && {
+                        trustedDomain: !!trustedDomain,
+                        companyName: trustedDomain ? trustedDomain.companyName : undefined
+                    })
                 }
             });
         } catch (error) {
@@ -418,9 +882,502 @@ class AuthController {
         }
     }
 
-    // Logout (client-side token removal)
-    static async logout(req, res) {
+    // Confirm email ownership with the emailed one-time code
+    static async confirmEmail(req, res) {
         try {
+            const { email, code } = req.body;
+
+            if (typeof email !== 'string' || !email || typeof code !== 'string' || !code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email and code are required'
+                });
+            }
+
+            const user = await User.findOne({ email }).select('+emailVerificationCode');
+            if (!user || user.emailVerified !== false) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired confirmation code'
+                });
+            }
+
+            const result = await user.checkEmailVerificationCode(code);
+
+            // Recruiters who proved they own an address on a trusted company domain are verified automatically
+            // (the domain may have been deactivated since registration, in which case an admin reviews them)
+            if (result === 'valid' && user.role === 'Recruiter' && user.recruiterVerification?.trustedDomain) {
+                const trustedDomain = await CompanyDomain.findOne({
+                    _id: user.recruiterVerification.trustedDomain,
+                    isActive: true
+                });
+                const verificationCase = await VerificationCase.openForUser(user);
+                if (trustedDomain) {
+                    user.isVerified = true;
+                    verificationCase.review('approved', null, `Auto-verified via trusted domain ${trustedDomain.domain}`);
+                }
+                await verificationCase.save();
+            }
+
+            await user.save();
+
+            if (result === 'too_many_attempts') {
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many incorrect attempts. Please request a new code.'
+                });
+            }
+            if (result !== 'valid') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired confirmation code'
+                });
+            }
+
+            // Sign the user in, as registration does for accounts without a code to confirm;
+            // accounts with 2FA still go through login
+            const { token, refreshToken } = user.isBlocked || user.twoFactor?.enabled
+                ? {}
+                : await issueAuthTokens(user._id, req);
+
+            res.json({
+                success: true,
+                message: 'Email confirmed successfully',
+                data: {
+                    email: user.email,
+                    emailVerified: true,
+                    isVerified: user.isVerified,
+                    token,
+                    refreshToken
+                }
+            });
+        } catch (error) {
+            console.error('Confirm email error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to confirm email',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Resend the email confirmation code (throttled)
+    static async resendEmailVerification(req, res) {
+        try {
+            const { email } = req.body;
+
+            if (typeof email !== 'string' || !email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email is required'
+                });
+            }
+
+            const user = await User.findOne({ email });
+
+            // Respond the same way for unknown or already confirmed addresses
+            if (!user || user.emailVerified !== false) {
+                return res.json({
+                    success: true,
+                    message: 'If the address is awaiting confirmation, a new code has been sent'
+                });
+            }
+
+            const sentAt = user.emailVerificationSentAt;
+            const secondsSinceLastSend = sentAt ? (Date.now() - sentAt.getTime()) / 1000 : Infinity;
+            if (secondsSinceLastSend < EMAIL_CODE_RESEND_COOLDOWN_SECONDS) {
+                return res.status(429).json({
+                    success: false,
+                    message: 'Please wait before requesting another code',
+                    retryAfter: Math.ceil(EMAIL_CODE_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend)
+                });
+            }
+            if (secondsSinceLastSend < 24 * 60 * 60 && user.emailVerificationSendCount >= EMAIL_CODE_MAX_SENDS_PER_DAY) {
+                return res.status(429).json({
+                    success: false,
+                    message: 'Daily code limit reached. Please try again tomorrow.'
+                });
+            }
+
+            await sendEmailVerificationCode(user);
+
+            res.json({
+                success: true,
+                message: 'If the address is awaiting confirmation, a new code has been sent'
+            });
+        } catch (error) {
+            console.error('Resend email verification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resend confirmation code',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Start changing the current user's email; codes go to both the old and the new address
+    static async requestEmailChange(req, res) {
+        try {
+            const { newEmail, password } = req.body;
+
+            if (!newEmail || !password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'New email and password are required'
+                });
+            }
+
+            const email = newEmail.toLowerCase().trim();
+            if (!validator.isEmail(email)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please provide a valid email'
+                });
+            }
+
+            const user = await User.findById(req.user._id).select('+password');
+            if (!(await user.correctPassword(password))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Password is incorrect'
+                });
+            }
+
+            if (email === user.email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'New email is the same as your current email'
+                });
+            }
+
+            const existingUser = await User.findOne({ email });
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User already exists with this email'
+                });
+            }
+
+            const { oldAddressCode, newAddressCode } = user.createEmailChangeRequest(email);
+            await user.save();
+
+            await Promise.all([
+                mailService.notify('emailChangeCode', user.email, {
+                    name: user.name,
+                    code: oldAddressCode,
+                    newEmail: email,
+                    isNewAddress: false,
+                    expiresInMinutes: 15
+                }),
+                mailService.notify('emailChangeCode', email, {
+                    name: user.name,
+                    code: newAddressCode,
+                    newEmail: email,
+                    isNewAddress: true,
+                    expiresInMinutes: 15
+                })
+            ]);
+
+            res.json({
+                success: true,
+                message: 'We sent a code to your current and your new email address. Enter both to confirm the change.',
+                data: {
+                    newEmail: email,
+                    expiresAt: user.pendingEmailChange.expiresAt
+                }
+            });
+        } catch (error) {
+            console.error('Request email change error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start email change',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Confirm an email change with the codes sent to both addresses
+    static async confirmEmailChange(req, res) {
+        try {
+            const { oldAddressCode, newAddressCode } = req.body;
+
+            if (!oldAddressCode || !newAddressCode) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Codes from both email addresses are required'
+                });
+            }
+
+            const user = await User.findById(req.user._id).select(EMAIL_CHANGE_CODE_FIELDS);
+            const result = user.checkEmailChangeCodes(oldAddressCode, newAddressCode);
+
+            if (result !== 'valid') {
+                await user.save();
+                return res.status(400).json({
+                    success: false,
+                    message: result === 'expired'
+                        ? 'Email change codes have expired. Please start again.'
+                        : result === 'too_many_attempts'
+                            ? 'Too many incorrect attempts. Please start again.'
+                            : 'Invalid email change codes'
+                });
+            }
+
+            const oldEmail = user.email;
+            const newEmail = user.pendingEmailChange.newEmail;
+
+            // Swap the address in one update; the unique index rejects it if the address was taken meanwhile
+            const update = {
+                $set: {
+                    email: newEmail,
+                    emailVerified: true,
+                    pendingEmailChange: { newEmail: null, oldAddressCode: null, newAddressCode: null, expiresAt: null, attempts: 0 }
+                }
+            };
+
+            // A trusted company domain only vouches for addresses under it; leaving it takes away
+            // the verification it granted and sends the recruiter back to admin review
+            let lostTrustedDomain = false;
+            if (user.role === 'Recruiter' && user.recruiterVerification?.trustedDomain) {
+                const trustedDomain = await CompanyDomain.findTrustedForEmail(newEmail);
+                if (!trustedDomain || !trustedDomain._id.equals(user.recruiterVerification.trustedDomain)) {
+                    update.$set['recruiterVerification.trustedDomain'] = null;
+                    update.$set.isVerified = false;
+                    lostTrustedDomain = true;
+                }
+            }
+
+            let updatedUser;
+            try {
+                updatedUser = await User.findOneAndUpdate(
+                    { _id: user._id, email: oldEmail, 'pendingEmailChange.newEmail': newEmail },
+                    update,
+                    { new: true }
+                );
+            } catch (updateError) {
+                if (updateError.code === 11000) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'User already exists with this email'
+                    });
+                }
+                throw updateError;
+            }
+
+            if (!updatedUser) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email change is no longer pending. Please start again.'
+                });
+            }
+
+            if (lostTrustedDomain) {
+                const verificationCase = await VerificationCase.openForUser(updatedUser);
+                verificationCase.resubmit(user._id, `Email changed to ${newEmail}, outside the trusted company domain`);
+                await verificationCase.save();
+            }
+
+            // Sign out every device that was logged in under the old address
+            await Session.revokeAllForUser(user._id, 'email_change');
+
+            await mailService.notify('emailChanged', oldEmail, {
+                name: updatedUser.name,
+                newEmail
+            });
+
+            res.json({
+                success: true,
+                message: lostTrustedDomain
+                    ? 'Email address changed successfully. Your new address is outside the trusted company domain, so your account needs admin verification again.'
+                    : 'Email address changed successfully. Please log in again with your new email.',
+                data: { email: newEmail, isVerified: updatedUser.isVerified }
+            });
+        } catch (error) {
+            console.error('Confirm email change error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to change email',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Cancel a pending email change
+    static async cancelEmailChange(req, res) {
+        try {
+            const user = await User.findById(req.user._id);
+
+            if (!user.pendingEmailChange?.newEmail) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No email change is pending'
+                });
+            }
+
+            user.pendingEmailChange = { newEmail: null, oldAddressCode: null, newAddressCode: null, expiresAt: null, attempts: 0 };
+            await user.save();
+
+            res.json({
+                success: true,
+                message: 'Email change cancelled'
+            });
+        } catch (error) {
+            console.error('Cancel email change error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to cancel email change',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Refresh access token (rotates the refresh token)
+    static async refreshToken(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+
+            const { session, isReuse } = await Session.findByRefreshToken(refreshToken);
+            if (!session || !session.isActive) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired refresh token'
+                });
+            }
+
+            // A rotated-out token being presented again means it was stolen; kill the session
+            if (isReuse) {
+                await session.revoke('token_reuse');
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token reuse detected. Please log in again.'
+                });
+            }
+
+            const user = await User.findById(session.userId);
+            if (!user || user.isBlocked) {
+                if (user) await session.revoke('blocked');
+                return res.status(401).json({
+                    success: false,
+                    message: 'Account is no longer active'
+                });
+            }
+
+            // Losing the rotation race means the same token was presented twice; treat it as reuse
+            const newRefreshToken = await session.rotate(req.ip);
+            if (!newRefreshToken) {
+                await session.revoke('token_reuse');
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token reuse detected. Please log in again.'
+                });
+            }
+
+            const token = generateToken(user._id, session._id);
+
+            res.json({
+                success: true,
+                message: 'Token refreshed successfully',
+                data: {
+                    token,
+                    refreshToken: newRefreshToken
+                }
+            });
+        } catch (error) {
+            console.error('Refresh token error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to refresh token',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // List the current user's active sessions
+    static async getSessions(req, res) {
+        try {
+            const sessions = await Session.findActiveForUser(req.user._id);
+
+            res.json({
+                success: true,
+                data: {
+                    sessions: sessions.map(session => ({
+                        ...session.toJSON(),
+                        isCurrent: session._id.equals(req.authSession._id)
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Get sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get sessions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Sign out a single session of the current user
+    static async revokeSession(req, res) {
+        try {
+            const { sessionId } = req.params;
+
+            const session = await Session.findOne({ _id: sessionId, userId: req.user._id, impersonatedBy: null });
+            if (!session || !session.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            await session.revoke('logout');
+
+            res.json({
+                success: true,
+                message: 'Session signed out successfully'
+            });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to sign out session',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Sign out every session of the current user except this one
+    static async revokeOtherSessions(req, res) {
+        try {
+            // Admins viewing the account are not the user's sessions to end
+            const result = await Session.revokeAllForUser(req.user._id, 'logout', req.authSession._id, { includeImpersonations: false });
+
+            res.json({
+                success: true,
+                message: 'Other sessions signed out successfully',
+                data: { revokedCount: result.modifiedCount }
+            });
+        } catch (error) {
+            console.error('Revoke other sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to sign out other sessions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Logout (revokes the current session)
+    static async logout(req, res) {
+        try {
+            await req.authSession.revoke('logout');
+
             res.json({
                 success: true,
                 message: 'Logged out successfully'
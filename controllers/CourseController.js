@@ -1,4 +1,5 @@
 const Course = require('../models/Course');
+const AuditLog = require('../models/AuditLog');
 
 class CourseController {
     static async enrollInCourse(req, res) {
@@ -219,12 +220,20 @@ class CourseController {
                 return res.status(404).json({ success: false, message: 'Course not found' });
             }
 
-            // Only admins can delete courses
-            if (req.user.role !== 'Admin') {
+            // Only admins with course permissions can delete courses
+            if (!req.user.hasPermission('manage:courses')) {
                 return res.status(403).json({ success: false, message: 'Only admins can delete courses' });
             }
 
             await Course.findByIdAndDelete(id);
+
+            await AuditLog.record(req, {
+                action: 'course.delete',
+                target: course,
+                targetLabel: course.courseName,
+                before: AuditLog.snapshot(course, ['courseName', 'postedBy', 'duration']),
+                reason: req.body.reason
+            });
             return res.json({ success: true, message: 'Course deleted successfully' });
         } catch (error) {
             console.error('Delete course error:', error);
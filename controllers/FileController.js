@@ -0,0 +1,168 @@
+const path = require('path');
+const { resolvePrivateFile, canAccessFile, signFileUrl, verifyFileSignature } = require('../services/fileAccess');
+const { getStorage, storageKey } = require('../services/storage');
+const { PHOTO_VARIANTS } = require('../services/imageProcessing');
+
+// Private files must not be cached by shared caches or sniffed into another type
+const PRIVATE_FILE_HEADERS = {
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+};
+
+const PUBLIC_FILE_HEADERS = {
+    'Cache-Control': 'public, max-age=86400',
+    'X-Content-Type-Options': 'nosniff'
+};
+
+// Stream a file from storage, or 404 when it does not exist
+const sendStoredFile = async (res, key, headers) => {
+    const file = await getStorage().get(key);
+    if (!file) {
+        return res.status(404).json({
+            success: false,
+            message: 'File not found'
+        });
+    }
+
+    res.set(headers);
+    res.type(path.extname(key));
+    file.on('error', error => {
+        console.error(`Stream file ${key} error:`, error);
+        res.destroy(error);
+    });
+    file.pipe(res);
+};
+
+// "me-123-small.webp" -> "me-123.webp"; photos uploaded before thumbnails were
+// generated fall back to the original
+const PHOTO_VARIANT_SUFFIX = new RegExp(`-(${Object.keys(PHOTO_VARIANTS).join('|')})(?=\\.[^.]+$)`);
+
+class FileController {
+    // Serve a public profile photo
+    static async downloadProfilePhoto(req, res) {
+        try {
+            const { filename } = req.params;
+
+            if (path.basename(filename) !== filename) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            let key = storageKey('profiles', filename);
+            const original = filename.replace(PHOTO_VARIANT_SUFFIX, '');
+            if (original !== filename && !(await getStorage().exists(key))) {
+                key = storageKey('profiles', original);
+            }
+
+            await sendStoredFile(res, key, PUBLIC_FILE_HEADERS);
+        } catch (error) {
+            console.error('Download profile photo error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download file',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Download a private upload the current user may see
+    static async downloadFile(req, res) {
+        try {
+            const { folder, filename } = req.params;
+
+            const key = resolvePrivateFile(folder, filename);
+            if (!key) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            if (!(await canAccessFile(req, folder, filename))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view this file'
+                });
+            }
+
+            await sendStoredFile(res, key, PRIVATE_FILE_HEADERS);
+        } catch (error) {
+            console.error('Download file error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download file',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get an expiring link to a private upload, for embedding where no auth header can be sent
+    static async getSignedUrl(req, res) {
+        try {
+            const { folder, filename } = req.params;
+
+            // A signed link would outlive the impersonation session
+            if (req.impersonatedBy) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'File links are not available while impersonating a user'
+                });
+            }
+
+            if (!resolvePrivateFile(folder, filename)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found'
+                });
+            }
+
+            if (!(await canAccessFile(req, folder, filename))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view this file'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: signFileUrl(folder, filename)
+            });
+        } catch (error) {
+            console.error('Get signed file URL error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create file link',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Download a private upload through a signed link
+    static async downloadSignedFile(req, res) {
+        try {
+            const { folder, filename } = req.params;
+            const { expires, signature } = req.query;
+
+            const key = resolvePrivateFile(folder, filename);
+            if (!key || !verifyFileSignature(folder, filename, expires, signature)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This link is invalid or has expired'
+                });
+            }
+
+            await sendStoredFile(res, key, PRIVATE_FILE_HEADERS);
+        } catch (error) {
+            console.error('Download signed file error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download file',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+}
+
+module.exports = FileController;
@@ -1,6 +1,21 @@
+const mongoose = require('mongoose');
 const Job = require('../models/Job');
+const Application = require('../models/Application');
 const User = require('../models/User');
 const Alert = require('../models/Alert');
+const AuditLog = require('../models/AuditLog');
+const { buildJobSearch, getJobFacets } = require('../services/jobSearch');
+const { recommendJobs } = require('../services/jobRecommendations');
+const { queueSavedSearchMatching } = require('../services/savedSearches');
+
+// Page and page size from the query string: a positive page, and a limit of 1 to 50
+const pageParams = (query, defaultLimit = 10) => ({
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 50)
+});
+
+// Number of applications in every stage of a job's pipeline, including empty ones
+const stageCountsFor = (job, counts = {}) => Object.fromEntries(job.pipeline.map(stage => [stage.key, counts[stage.key] || 0]));
 
 class JobController {
     // Create new job
@@ -9,6 +24,17 @@ class JobController {
             const jobData = req.body;
             jobData.postedBy = req.user.id;
 
+            // Optional custom stages between "applied" and the final hired/rejected stages
+            if (jobData.pipeline !== undefined) {
+                jobData.pipeline = Array.isArray(jobData.pipeline) ? Job.buildPipeline(jobData.pipeline) : null;
+                if (!jobData.pipeline) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Pipeline must be a list of stages, each with a name of at most 50 characters'
+                    });
+                }
+            }
+
             const job = await Job.create(jobData);
 
             // Alert all students about a new job post (simple broadcast - optimize later)
@@ -19,6 +45,7 @@ class JobController {
             } catch (e) {
                 console.warn('Alert broadcast failed:', e?.message || e);
             }
+            queueSavedSearchMatching(job);
 
             res.status(201).json({
                 success: true,
@@ -35,58 +62,30 @@ class JobController {
         }
     }
 
-    // Get all jobs with filters
+    // Search jobs with filters, relevance ranking and facet counts
     static async getJobs(req, res) {
         try {
-            const {
-                page = 1,
-                limit = 10,
-                search,
-                location,
-                type,
-                company,
-                minSalary,
-                maxSalary,
-                tags
-            } = req.query;
-
-            const query = { isActive: true };
-
-            // Add filters
-            if (search) {
-                query.$or = [
-                    { title: { $regex: search, $options: 'i' } },
-                    { description: { $regex: search, $options: 'i' } },
-                    { company: { $regex: search, $options: 'i' } }
-                ];
-            }
-
-            if (location) query.location = { $regex: location, $options: 'i' };
-            if (type) query.type = type;
-            if (company) query.company = { $regex: company, $options: 'i' };
-            if (tags) query.tags = { $in: tags.split(',') };
-
-            // Salary range filter
-            if (minSalary || maxSalary) {
-                query['salary.min'] = {};
-                if (minSalary) query['salary.min'].$gte = parseInt(minSalary);
-                if (maxSalary) query['salary.max'] = { $lte: parseInt(maxSalary) };
-            }
-
-            const jobs = await Job.find(query)
-                .populate('postedBy', 'name email')
-                .limit(limit * 1)
-                .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
-
-            const total = await Job.countDocuments(query);
+            // Capped: every page runs a text search and the facet aggregation
+            const { page, limit } = pageParams(req.query);
+            const { filter, sort, projection } = buildJobSearch(req.query);
+
+            const [jobs, total, facets] = await Promise.all([
+                Job.find(filter, projection)
+                    .populate('postedBy', 'name email')
+                    .sort(sort)
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Job.countDocuments(filter),
+                getJobFacets(filter)
+            ]);
 
             res.json({
                 success: true,
                 data: {
                     jobs,
+                    facets,
                     pagination: {
-                        currentPage: parseInt(page),
+                        currentPage: page,
                         totalPages: Math.ceil(total / limit),
                         totalJobs: total
                     }
@@ -102,14 +101,33 @@ class JobController {
         }
     }
 
+    // Open jobs matched to the current student, with the reasons for each match
+    static async getRecommendedJobs(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+            const recommendations = await recommendJobs(req.user, limit);
+
+            res.json({
+                success: true,
+                data: { recommendations }
+            });
+        } catch (error) {
+            console.error('Get recommended jobs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get recommended jobs',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Get job by ID
     static async getJobById(req, res) {
         try {
             const { id } = req.params;
 
             const job = await Job.findById(id)
-                .populate('postedBy', 'name email')
-                .populate('applicants.userId', 'name email profile');
+                .populate('postedBy', 'name email');
 
             if (!job) {
                 return res.status(404).json({
@@ -168,30 +186,39 @@ class JobController {
             }
 
             // Check if already applied
-            const alreadyApplied = job.applicants.find(
-                applicant => applicant.userId.toString() === req.user.id
-            );
-
-            if (alreadyApplied) {
+            if (await Application.exists({ job: job._id, student: req.user.id })) {
                 return res.status(400).json({
                     success: false,
                     message: 'You have already applied for this job'
                 });
             }
 
-            // Add application
-            const application = {
-                userId: req.user.id,
-                status: 'applied',
-                appliedAt: new Date(),
-                notes
-            };
-
-            if (resume) application.resume = resume.filename;
-            if (coverLetter) application.coverLetter = coverLetter.filename;
+            const appliedAt = new Date();
+            let application;
+            try {
+                application = await Application.create({
+                    job: job._id,
+                    student: req.user.id,
+                    recruiter: job.postedBy,
+                    status: 'applied',
+                    appliedAt,
+                    notes,
+                    resume: resume?.filename || '',
+                    coverLetter: coverLetter?.filename || '',
+                    statusHistory: [{ from: null, to: 'applied', changedBy: req.user.id, at: appliedAt }]
+                });
+            } catch (createError) {
+                // Two submissions at once; the unique index lets only one through
+                if (createError.code === 11000) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'You have already applied for this job'
+                    });
+                }
+                throw createError;
+            }
 
-            job.applicants.push(application);
-            await job.save();
+            await Job.updateOne({ _id: job._id }, { $inc: { applications: 1 } });
 
             res.json({
                 success: true,
@@ -212,9 +239,8 @@ class JobController {
     static async getMyApplicationStatus(req, res) {
         try {
             const { id } = req.params; // job id
-            const userId = req.user.id;
 
-            const job = await Job.findById(id).select('title company applicants');
+            const job = await Job.findById(id).select('title company pipeline');
             if (!job) {
                 return res.status(404).json({
                     success: false,
@@ -222,11 +248,7 @@ class JobController {
                 });
             }
 
-            // Find user's application
-            const application = job.applicants.find(
-                applicant => applicant.userId.toString() === userId
-            );
-
+            const application = await Application.findOne({ job: job._id, student: req.user.id });
             if (!application) {
                 return res.status(404).json({
                     success: false,
@@ -242,7 +264,10 @@ class JobController {
                         company: job.company
                     },
                     application: {
+                        _id: application._id,
                         status: application.status,
+                        stage: job.getStage(application.status)?.name || application.status,
+                        statusHistory: application.statusHistory.map(({ from, to, at }) => ({ from, to, at })),
                         appliedAt: application.appliedAt,
                         resume: application.resume,
                         coverLetter: application.coverLetter,
@@ -263,57 +288,59 @@ class JobController {
     // Get all applications for a student with detailed status
     static async getMyApplications(req, res) {
         try {
-            const { page = 1, limit = 10, status } = req.query;
-            const userId = req.user.id;
-
-            // Find jobs where user has applied
-            const jobs = await Job.find({
-                'applicants.userId': userId
-            }).populate('postedBy', 'name profile.company');
-
-            // Filter by status if provided
-            let filteredJobs = jobs;
-            if (status) {
-                filteredJobs = jobs.filter(job => {
-                    const application = job.applicants.find(
-                        app => app.userId.toString() === userId
-                    );
-                    return application && application.status === status;
-                });
-            }
+            const { page, limit } = pageParams(req.query);
+            const { status } = req.query;
+
+            // Applications whose job was deleted are left out of the page and the count
+            const appliedJobIds = await Application.distinct('job', { student: req.user.id });
+            const query = {
+                student: req.user.id,
+                job: { $in: await Job.distinct('_id', { _id: { $in: appliedJobIds } }) }
+            };
+            if (status) query.status = String(status);
+
+            const [applications, total] = await Promise.all([
+                Application.find(query)
+                    .populate({
+                        path: 'job',
+                        select: 'title company pipeline deadline isActive postedBy',
+                        populate: { path: 'postedBy', select: 'name profile.company' }
+                    })
+                    .sort({ appliedAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Application.countDocuments(query)
+            ]);
 
-            // Paginate results
-            const total = filteredJobs.length;
-            const startIndex = (page - 1) * limit;
-            const endIndex = startIndex + limit;
-            const paginatedJobs = filteredJobs.slice(startIndex, endIndex);
-
-            // Format response with application details
-            const applications = paginatedJobs.map(job => {
-                const application = job.applicants.find(
-                    app => app.userId.toString() === userId
-                );
-                return {
-                    jobId: job._id,
-                    jobTitle: job.title,
-                    company: job.postedBy.profile?.company || 'Unknown Company',
-                    recruiter: job.postedBy.name,
-                    status: application.status,
-                    appliedAt: application.appliedAt,
-                    resume: application.resume,
-                    coverLetter: application.coverLetter,
-                    notes: application.notes,
-                    jobDeadline: job.deadline,
-                    isJobActive: job.isActive
-                };
-            });
+            // Format response with application details (the filter only covers a job
+            // deleted between the queries above)
+            const formatted = applications
+                .filter(application => application.job)
+                .map(application => {
+                    const { job } = application;
+                    return {
+                        _id: application._id,
+                        jobId: job._id,
+                        jobTitle: job.title,
+                        company: job.postedBy?.profile?.company || job.company || 'Unknown Company',
+                        recruiter: job.postedBy?.name,
+                        status: application.status,
+                        stage: job.getStage(application.status)?.name || application.status,
+                        appliedAt: application.appliedAt,
+                        resume: application.resume,
+                        coverLetter: application.coverLetter,
+                        notes: application.notes,
+                        jobDeadline: job.deadline,
+                        isJobActive: job.isActive
+                    };
+                });
 
             res.json({
                 success: true,
                 data: {
-                    applications,
+                    applications: formatted,
                     pagination: {
-                        currentPage: parseInt(page),
+                        currentPage: page,
                         totalPages: Math.ceil(total / limit),
                         totalApplications: total
                     }
@@ -329,25 +356,39 @@ class JobController {
         }
     }
 
-    // Get recruiter's job postings
+    // Get recruiter's job postings with the number of applications in each stage.
+    // ?stage=interview,offer only returns jobs with applications in those stages.
     static async getMyPostings(req, res) {
         try {
-            const { page = 1, limit = 10 } = req.query;
+            const { page, limit } = pageParams(req.query);
+            const { stage } = req.query;
+            const stages = String(stage || '').split(',').map(key => key.trim()).filter(Boolean);
 
-            const jobs = await Job.find({ postedBy: req.user.id })
-                .populate('applicants.userId', 'name email')
-                .limit(limit * 1)
-                .skip((page - 1) * limit)
-                .sort({ createdAt: -1 });
+            const query = { postedBy: req.user.id };
+            if (stages.length) {
+                query._id = { $in: await Application.distinct('job', { recruiter: req.user.id, status: { $in: stages } }) };
+            }
 
-            const total = await Job.countDocuments({ postedBy: req.user.id });
+            const [jobs, total] = await Promise.all([
+                Job.find(query)
+                    .limit(limit)
+                    .skip((page - 1) * limit)
+                    .sort({ createdAt: -1 }),
+                Job.countDocuments(query)
+            ]);
+
+            const counts = await Application.countByStage(jobs.map(job => job._id));
+            const postings = jobs.map(job => ({
+                ...job.toJSON(),
+                stageCounts: stageCountsFor(job, counts[job._id.toString()])
+            }));
 
             res.json({
                 success: true,
                 data: {
-                    jobs,
+                    jobs: postings,
                     pagination: {
-                        currentPage: parseInt(page),
+                        currentPage: page,
                         totalPages: Math.ceil(total / limit),
                         totalJobs: total
                     }
@@ -363,11 +404,79 @@ class JobController {
         }
     }
 
+    // Applications to one of the recruiter's jobs, oldest first, optionally in some stages
+    static async getJobApplications(req, res) {
+        try {
+            const { id } = req.params;
+            const { page, limit } = pageParams(req.query, 20);
+            const { stage } = req.query;
+
+            const job = await Job.findById(id).select('title company pipeline postedBy');
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            // Check if user is the job poster
+            if (job.postedBy.toString() !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to view these applications'
+                });
+            }
+
+            const query = { job: job._id };
+            const stages = String(stage || '').split(',').map(key => key.trim()).filter(Boolean);
+            if (stages.length) query.status = { $in: stages };
+
+            const [applications, total, counts] = await Promise.all([
+                Application.find(query)
+                    .populate('student', 'name email profile')
+                    .sort({ appliedAt: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                Application.countDocuments(query),
+                Application.countByStage([job._id])
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    job: { _id: job._id, title: job.title, company: job.company, pipeline: job.pipeline },
+                    stageCounts: stageCountsFor(job, counts[job._id.toString()]),
+                    applications,
+                    pagination: {
+                        currentPage: page,
+                        totalPages: Math.ceil(total / limit),
+                        totalApplications: total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get job applications error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get applications',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Update applicant status (Recruiter only)
     static async updateApplicantStatus(req, res) {
         try {
             const { jobId, applicantId } = req.params;
-            const { status } = req.body;
+            const { note = '' } = req.body;
+            const stage = req.body.stage || req.body.status;
+
+            if (typeof note !== 'string' || note.length > Application.MAX_NOTE_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Note must be text of at most ${Application.MAX_NOTE_LENGTH} characters`
+                });
+            }
 
             const job = await Job.findById(jobId);
             if (!job) {
@@ -385,21 +494,36 @@ class JobController {
                 });
             }
 
-            const applicant = job.applicants.id(applicantId);
-            if (!applicant) {
+            const application = mongoose.Types.ObjectId.isValid(applicantId)
+                ? await Application.findOne({ _id: applicantId, job: job._id })
+                : null;
+            if (!application) {
                 return res.status(404).json({
                     success: false,
                     message: 'Application not found'
                 });
             }
 
-            applicant.status = status;
-            await job.save();
+            if (!job.getStage(stage)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Stage must be one of: ${job.pipeline.map(s => s.key).join(', ')}`
+                });
+            }
+
+            if (!application.moveTo(stage, req.user.id, note)) {
+                return res.json({
+                    success: true,
+                    message: 'Application is already in this stage',
+                    data: { application, changed: false }
+                });
+            }
+            await application.save();
 
             res.json({
                 success: true,
                 message: 'Application status updated successfully',
-                data: { application: applicant }
+                data: { application, changed: true }
             });
         } catch (error) {
             console.error('Update applicant status error:', error);
@@ -411,12 +535,74 @@ class JobController {
         }
     }
 
+    // Replace the custom stages of a job's hiring pipeline (Recruiter only)
+    static async updateJobPipeline(req, res) {
+        try {
+            const { id } = req.params;
+            const { stages } = req.body;
+
+            if (!Array.isArray(stages)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Stages must be a list of stage names'
+                });
+            }
+
+            const job = await Job.findById(id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            // Check if user is the job poster
+            if (job.postedBy.toString() !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to update this job'
+                });
+            }
+
+            try {
+                job.setPipeline(stages, await Application.distinct('status', { job: job._id }));
+            } catch (pipelineError) {
+                return res.status(400).json({
+                    success: false,
+                    message: pipelineError.message
+                });
+            }
+            await job.save();
+
+            res.json({
+                success: true,
+                message: 'Pipeline updated successfully',
+                data: {
+                    pipeline: job.pipeline,
+                    stageCounts: stageCountsFor(job, (await Application.countByStage([job._id]))[job._id.toString()])
+                }
+            });
+        } catch (error) {
+            console.error('Update job pipeline error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update pipeline',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Update job
     static async updateJob(req, res) {
         try {
             const { id } = req.params;
             const updateData = req.body;
 
+            // Pipeline stages change through updateJobPipeline, which checks applications;
+            // the application count is kept by applyForJob
+            delete updateData.pipeline;
+            delete updateData.applications;
+
             const job = await Job.findById(id);
             if (!job) {
                 return res.status(404).json({
@@ -438,6 +624,7 @@ class JobController {
                 updateData,
                 { new: true, runValidators: true }
             ).populate('postedBy', 'name email');
+            queueSavedSearchMatching(updatedJob);
 
             res.json({
                 success: true,
@@ -476,6 +663,7 @@ class JobController {
             }
 
             await Job.findByIdAndDelete(id);
+            await Application.deleteMany({ job: id });
 
             res.json({
                 success: true,
@@ -504,8 +692,19 @@ class JobController {
                 });
             }
 
+            const before = AuditLog.snapshot(job, ['isActive']);
+
             job.isActive = !job.isActive;
             await job.save();
+            queueSavedSearchMatching(job);
+
+            await AuditLog.record(req, {
+                action: 'job.status_toggle',
+                target: job,
+                before,
+                after: AuditLog.snapshot(job, ['isActive']),
+                reason: req.body.reason
+            });
 
             res.json({
                 success: true,
@@ -526,13 +725,24 @@ class JobController {
     static async updateJobAdmin(req, res) {
         try {
             const { id } = req.params;
-            const updateData = req.body;
+            const { reason, ...updateData } = req.body;
 
             // Remove sensitive fields that admin shouldn't modify
             delete updateData.postedBy;
-            delete updateData.applicants;
             delete updateData.views;
             delete updateData.applications;
+            delete updateData.pipeline;
+
+            const existingJob = await Job.findById(id);
+            if (!existingJob) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            const auditFields = Object.keys(updateData);
+            const before = AuditLog.snapshot(existingJob, auditFields);
 
             const job = await Job.findByIdAndUpdate(
                 id,
@@ -547,6 +757,15 @@ class JobController {
                 });
             }
 
+            await AuditLog.record(req, {
+                action: 'job.update',
+                target: job,
+                before,
+                after: AuditLog.snapshot(job, auditFields),
+                reason
+            });
+            queueSavedSearchMatching(job);
+
             res.json({
                 success: true,
                 message: 'Job updated successfully',
@@ -566,16 +785,14 @@ class JobController {
     static async getRecruiterStats(req, res) {
         try {
             const recruiterId = req.user.id;
+            const recruiter = new mongoose.Types.ObjectId(recruiterId);
 
             // Get job statistics
             const [
                 totalJobs,
                 activeJobs,
                 expiredJobs,
-                totalApplications,
-                pendingApplications,
-                shortlistedApplications,
-                rejectedApplications,
+                applicationsByStage,
                 recentJobs,
                 recentApplications
             ] = await Promise.all([
@@ -589,57 +806,30 @@ class JobController {
                     postedBy: recruiterId,
                     deadline: { $lt: new Date() }
                 }),
-                Job.aggregate([
-                    { $match: { postedBy: recruiterId } },
-                    { $unwind: '$applications' },
-                    { $count: 'total' }
-                ]).then(result => result[0]?.total || 0),
-                Job.aggregate([
-                    { $match: { postedBy: recruiterId } },
-                    { $unwind: '$applications' },
-                    { $match: { 'applications.status': 'pending' } },
-                    { $count: 'total' }
-                ]).then(result => result[0]?.total || 0),
-                Job.aggregate([
-                    { $match: { postedBy: recruiterId } },
-                    { $unwind: '$applications' },
-                    { $match: { 'applications.status': 'shortlisted' } },
-                    { $count: 'total' }
-                ]).then(result => result[0]?.total || 0),
-                Job.aggregate([
-                    { $match: { postedBy: recruiterId } },
-                    { $unwind: '$applications' },
-                    { $match: { 'applications.status': 'rejected' } },
-                    { $count: 'total' }
-                ]).then(result => result[0]?.total || 0),
+                Application.aggregate([
+                    { $match: { recruiter } },
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ]).then(rows => Object.fromEntries(rows.map(row => [row._id, row.count]))),
                 Job.find({ postedBy: recruiterId })
                     .sort({ createdAt: -1 })
                     .limit(5)
                     .select('title company isActive deadline applications'),
-                Job.aggregate([
-                    { $match: { postedBy: recruiterId } },
-                    { $unwind: '$applications' },
-                    { $sort: { 'applications.appliedAt': -1 } },
-                    { $limit: 10 },
-                    {
-                        $lookup: {
-                            from: 'users',
-                            localField: 'applications.studentId',
-                            foreignField: '_id',
-                            as: 'student'
-                        }
-                    },
-                    { $unwind: '$student' },
-                    {
-                        $project: {
-                            jobTitle: '$title',
-                            studentName: '$student.name',
-                            studentEmail: '$student.email',
-                            status: '$applications.status',
-                            appliedAt: '$applications.appliedAt'
-                        }
-                    }
-                ])
+                Application.find({ recruiter })
+                    .sort({ appliedAt: -1 })
+                    .limit(10)
+                    .populate('job', 'title')
+                    .populate('student', 'name email')
+                    .then(applications => applications
+                        .filter(application => application.job && application.student)
+                        .map(application => ({
+                            _id: application._id,
+                            jobId: application.job._id,
+                            jobTitle: application.job.title,
+                            studentName: application.student.name,
+                            studentEmail: application.student.email,
+                            status: application.status,
+                            appliedAt: application.appliedAt
+                        })))
             ]);
 
             res.json({
@@ -652,10 +842,11 @@ class JobController {
                             expired: expiredJobs
                         },
                         applications: {
-                            total: totalApplications,
-                            pending: pendingApplications,
-                            shortlisted: shortlistedApplications,
-                            rejected: rejectedApplications
+                            total: Object.values(applicationsByStage).reduce((sum, count) => sum + count, 0),
+                            pending: applicationsByStage.applied || 0,
+                            shortlisted: applicationsByStage.shortlisted || 0,
+                            rejected: applicationsByStage.rejected || 0,
+                            byStage: applicationsByStage
                         }
                     },
                     recentJobs,
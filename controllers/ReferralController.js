@@ -1,6 +1,7 @@
 const Referral = require('../models/Referral');
 const Job = require('../models/Job');
 const User = require('../models/User');
+const mailService = require('../services/mailService');
 
 class ReferralController {
     // Request referral
@@ -28,6 +29,14 @@ class ReferralController {
                 });
             }
 
+            // Referral eligibility is suspended while the alumni's verification has lapsed
+            if (!alumni.hasCurrentAlumniVerification()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This alumni\'s verification has expired. They cannot take referral requests until they renew it.'
+                });
+            }
+
             // Check if referral already exists
             const existingReferral = await Referral.findOne({
                 jobId,
@@ -234,6 +243,14 @@ class ReferralController {
             await referral.populate('studentId', 'name email');
             await referral.populate('alumniId', 'name email');
 
+            await mailService.notify('referralApproved', referral.studentId?.email, {
+                name: referral.studentId?.name,
+                alumniName: referral.alumniId?.name,
+                jobTitle: referral.jobId?.title,
+                company: referral.jobId?.company,
+                response: alumniResponse
+            });
+
             res.json({
                 success: true,
                 message: 'Referral approved successfully',
@@ -287,6 +304,14 @@ class ReferralController {
             await referral.populate('studentId', 'name email');
             await referral.populate('alumniId', 'name email');
 
+            await mailService.notify('referralRejected', referral.studentId?.email, {
+                name: referral.studentId?.name,
+                alumniName: referral.alumniId?.name,
+                jobTitle: referral.jobId?.title,
+                company: referral.jobId?.company,
+                response: alumniResponse
+            });
+
             res.json({
                 success: true,
                 message: 'Referral rejected successfully',
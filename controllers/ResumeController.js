@@ -1,7 +1,6 @@
 const User = require('../models/User');
-const path = require('path');
-const fs = require('fs');
 const PDFDocument = require('pdfkit');
+const { getStorage, storageKey } = require('../services/storage');
 
 class ResumeController {
     static async generateResume(req, res) {
@@ -9,13 +8,8 @@ class ResumeController {
             const user = await User.findById(req.user.id);
             if (!user) return res.status(404).json({ success: false, message: 'User not found' });
 
-            // Prepare output folder
-            const outDir = path.join(__dirname, '..', 'uploads', 'resumes');
-            if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-
             // Generate professional PDF
             const filename = `resume-${user._id}-${Date.now()}.pdf`;
-            const fullPath = path.join(outDir, filename);
 
             const doc = new PDFDocument({
                 size: 'A4',
@@ -26,8 +20,13 @@ class ResumeController {
                     Creator: 'BRAC Out Resume Builder'
                 }
             });
-            const writeStream = fs.createWriteStream(fullPath);
-            doc.pipe(writeStream);
+            // Collect the PDF in memory, then hand it to the storage backend
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            const rendered = new Promise((resolve, reject) => {
+                doc.on('end', resolve);
+                doc.on('error', reject);
+            });
 
             // Helper function to add section headers with modern design
             const addSectionHeader = (title) => {
@@ -226,10 +225,8 @@ class ResumeController {
 
             doc.end();
 
-            await new Promise((resolve, reject) => {
-                writeStream.on('finish', resolve);
-                writeStream.on('error', reject);
-            });
+            await rendered;
+            await getStorage().put(storageKey('resumes', filename), Buffer.concat(chunks), { contentType: 'application/pdf' });
 
             // Save filename on user - ensure proper error handling
             try {
@@ -246,7 +243,7 @@ class ResumeController {
                 message: 'Resume PDF generated successfully',
                 data: {
                     filename,
-                    url: `${process.env.BASE_URL || 'http://localhost:5000'}/uploads/resumes/${filename}`
+                    url: `${process.env.BASE_URL || 'http://localhost:5000'}/api/files/resumes/${filename}`
                 }
             });
         } catch (error) {
@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const { sendDigest } = require('../services/savedSearches');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Saved search names are required and at most 100 characters
+const isValidSearchName = (name) => typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 100;
+
+class SavedJobController {
+    // List the current user's bookmarked jobs, newest bookmark first
+    static async getSavedJobs(req, res) {
+        try {
+            const user = await User.findById(req.user.id)
+                .select('savedJobs')
+                .populate({
+                    path: 'savedJobs.job',
+                    populate: { path: 'postedBy', select: 'name email' }
+                });
+
+            // Jobs deleted since they were saved drop out of the list
+            const savedJobs = user.savedJobs
+                .filter(entry => entry.job)
+                .sort((a, b) => b.savedAt - a.savedAt);
+
+            res.json({
+                success: true,
+                data: { savedJobs }
+            });
+        } catch (error) {
+            console.error('Get saved jobs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get saved jobs',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Bookmark a job
+    static async saveJob(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!mongoose.Types.ObjectId.isValid(id) || !(await Job.exists({ _id: id }))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            await User.updateOne(
+                { _id: req.user.id, 'savedJobs.job': { $ne: id } },
+                { $push: { savedJobs: { job: id, savedAt: new Date() } } }
+            );
+
+            res.json({
+                success: true,
+                message: 'Job saved'
+            });
+        } catch (error) {
+            console.error('Save job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to save job',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Remove a bookmark
+    static async unsaveJob(req, res) {
+        try {
+            const { id } = req.params;
+
+            if (!mongoose.Types.ObjectId.isValid(id)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            await User.updateOne({ _id: req.user.id }, { $pull: { savedJobs: { job: id } } });
+
+            res.json({
+                success: true,
+                message: 'Job removed from saved jobs'
+            });
+        } catch (error) {
+            console.error('Unsave job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to remove saved job',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // List the current user's saved searches
+    static async getSavedSearches(req, res) {
+        try {
+            const savedSearches = await SavedSearch.find({ user: req.user.id })
+                .select('-matchedJobs')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                success: true,
+                data: { savedSearches }
+            });
+        } catch (error) {
+            console.error('Get saved searches error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get saved searches',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Save the current job search filters under a name
+    static async createSavedSearch(req, res) {
+        try {
+            const { name, criteria, frequency = 'instant' } = req.body;
+
+            if (!isValidSearchName(name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Search name is required and cannot exceed 100 characters'
+                });
+            }
+
+            if (!SavedSearch.FREQUENCIES.includes(frequency)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Frequency must be one of: ${SavedSearch.FREQUENCIES.join(', ')}`
+                });
+            }
+
+            const filters = SavedSearch.pickCriteria(criteria);
+            if (!Object.keys(filters).length) {
+                return res.status(400).json({
+                    success: false,
+                    message: `At least one search filter is required: ${SavedSearch.CRITERIA_FIELDS.join(', ')}`
+                });
+            }
+
+            if (await SavedSearch.countDocuments({ user: req.user.id }) >= MAX_SAVED_SEARCHES) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+                });
+            }
+
+            const savedSearch = await SavedSearch.create({
+                user: req.user.id,
+                name,
+                criteria: filters,
+                frequency
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Search saved',
+                data: { savedSearch }
+            });
+        } catch (error) {
+            console.error('Create saved search error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to save search',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Rename a saved search, change its filters or its notification frequency
+    static async updateSavedSearch(req, res) {
+        try {
+            const { name, criteria, frequency } = req.body;
+
+            const savedSearch = mongoose.Types.ObjectId.isValid(req.params.id)
+                ? await SavedSearch.findOne({ _id: req.params.id, user: req.user.id })
+                : null;
+            if (!savedSearch) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Saved search not found'
+                });
+            }
+
+            if (frequency !== undefined) {
+                if (!SavedSearch.FREQUENCIES.includes(frequency)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Frequency must be one of: ${SavedSearch.FREQUENCIES.join(', ')}`
+                    });
+                }
+                savedSearch.frequency = frequency;
+            }
+
+            if (criteria !== undefined) {
+                const filters = SavedSearch.pickCriteria(criteria);
+                if (!Object.keys(filters).length) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `At least one search filter is required: ${SavedSearch.CRITERIA_FIELDS.join(', ')}`
+                    });
+                }
+                savedSearch.criteria = filters;
+            }
+
+            if (name !== undefined) {
+                if (!isValidSearchName(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Search name is required and cannot exceed 100 characters'
+                    });
+                }
+                savedSearch.name = name;
+            }
+
+            await savedSearch.save();
+
+            // Instant searches have no digest, so jobs still waiting for one go out now
+            if (savedSearch.frequency === 'instant' && savedSearch.pendingJobs.length) {
+                await sendDigest(savedSearch);
+                savedSearch.pendingJobs = [];
+            }
+
+            res.json({
+                success: true,
+                message: 'Saved search updated',
+                data: { savedSearch }
+            });
+        } catch (error) {
+            console.error('Update saved search error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update saved search',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Delete a saved search
+    static async deleteSavedSearch(req, res) {
+        try {
+            const result = mongoose.Types.ObjectId.isValid(req.params.id)
+                ? await SavedSearch.deleteOne({ _id: req.params.id, user: req.user.id })
+                : { deletedCount: 0 };
+
+            if (!result.deletedCount) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Saved search not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Saved search deleted'
+            });
+        } catch (error) {
+            console.error('Delete saved search error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete saved search',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+}
+
+module.exports = SavedJobController;
@@ -1,6 +1,21 @@
 const User = require('../models/User');
-const Job = require('../models/Job');
+const Application = require('../models/Application');
 const Referral = require('../models/Referral');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const VerificationCase = require('../models/VerificationCase');
+const mailService = require('../services/mailService');
+const { collectUserData, writeExportZip, anonymizeAccount } = require('../services/accountData');
+const { getProfilePhotoUrls } = require('../middleware/fileUpload');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Kind of document each role submits for verification
+const VERIFICATION_DOCUMENT_KINDS = {
+    Student: 'bracuIdCard',
+    Alumni: 'bracuIdCard',
+    Recruiter: 'companyDocument'
+};
 
 class UserController {
     // Get user profile
@@ -49,7 +64,10 @@ class UserController {
             console.log('✅ [UserController] Successfully retrieved user profile');
             res.json({
                 success: true,
-                data: { user }
+                data: {
+                    user,
+                    photoUrls: getProfilePhotoUrls(user.profile?.photo)
+                }
             });
         } catch (error) {
             console.error('❌ [UserController] Get user profile error:');
@@ -103,12 +121,24 @@ class UserController {
                 });
             }
 
+            // The address only changes through the confirmed email change flow
+            if (updateData.email !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email cannot be changed here. Use POST /api/auth/change-email instead.'
+                });
+            }
+
             // Handle profile fields properly
             if (updateData.profile) {
+                // Uploaded files are only set by the upload endpoints; file access and
+                // account deletion trust these filenames
+                const { bracuIdCard, companyDocument, photo, ...profileUpdate } = updateData.profile;
+
                 // Merge profile data instead of replacing
                 user.profile = {
                     ...user.profile,
-                    ...updateData.profile
+                    ...profileUpdate
                 };
             }
 
@@ -173,7 +203,6 @@ class UserController {
 
             // Update basic user fields
             if (updateData.name !== undefined) user.name = updateData.name;
-            if (updateData.email !== undefined) user.email = updateData.email;
 
             // Save the user
             await user.save();
@@ -230,27 +259,27 @@ class UserController {
                 });
             }
 
-            // Update verification status based on document type and user role
-            if (documentType === 'studentIdCard' && user.role === 'Student') {
-                user.studentVerification.studentIdCardUploaded = true;
-                user.studentVerification.studentIdCardVerified = false; // Reset verification status
-                user.profile.bracuIdCard = documentFile.filename;
-            } else if (documentType === 'companyDocument' && user.role === 'Recruiter') {
-                user.recruiterVerification.companyDocumentUploaded = true;
-                user.recruiterVerification.companyDocumentVerified = false; // Reset verification status
-                user.profile.companyDocument = documentFile.filename;
-            } else if (documentType === 'alumniIdCard' && user.role === 'Alumni') {
-                user.alumniVerification.idCardUploaded = true;
-                user.alumniVerification.idCardVerified = false; // Reset verification status
-                user.profile.bracuIdCard = documentFile.filename;
-            } else {
+            // Check the document type fits the user's role
+            const documentRoles = { studentIdCard: 'Student', alumniIdCard: 'Alumni', companyDocument: 'Recruiter' };
+            if (documentRoles[documentType] !== user.role) {
                 return res.status(400).json({
                     success: false,
                     message: 'Invalid document type for user role'
                 });
             }
 
-            await user.save();
+            if (documentType !== 'companyDocument') {
+                user.profile.bracuIdCard = documentFile.filename;
+                await user.save();
+            }
+
+            // New documents send an open case back to the review queue
+            const verificationCase = await VerificationCase.openForUser(user);
+            verificationCase.addDocument(VERIFICATION_DOCUMENT_KINDS[user.role], documentFile.filename);
+            if (verificationCase.status !== 'approved') {
+                verificationCase.resubmit(user._id, 'New document uploaded');
+            }
+            await verificationCase.save();
 
             res.json({
                 success: true,
@@ -260,7 +289,8 @@ class UserController {
                     filename: documentFile.filename,
                     verificationStatus: {
                         uploaded: true,
-                        verified: false
+                        verified: user.isVerified,
+                        status: verificationCase.status
                     }
                 }
             });
@@ -274,61 +304,75 @@ class UserController {
         }
     }
 
-    // Get verification requests (Admin only)
-    static async getVerificationRequests(req, res) {
+    // Get the current user's verification case
+    static async getMyVerification(req, res) {
         try {
-            const users = await User.find({
-                role: 'Alumni',
-                isVerified: false
-            }).select('-password');
+            const verificationCase = await VerificationCase.findOne({ user: req.user._id })
+                .populate('comments.author', 'name role');
 
             res.json({
                 success: true,
-                data: { users }
+                data: {
+                    isVerified: req.user.isVerified,
+                    case: verificationCase
+                }
             });
         } catch (error) {
-            console.error('Get verification requests error:', error);
+            console.error('Get verification case error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to get verification requests',
+                message: 'Failed to get verification status',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
     }
 
-    // Verify user (Admin only)
-    static async verifyUser(req, res) {
+    // Answer a reviewer with a comment and/or a new document and send the case back for review
+    static async resubmitVerification(req, res) {
         try {
-            const { id } = req.params;
+            const documentFile = req.file;
+            const comment = req.body.comment?.trim();
 
-            const user = await User.findById(id);
-            if (!user) {
-                return res.status(404).json({
+            if (!documentFile && !comment) {
+                return res.status(400).json({
                     success: false,
-                    message: 'User not found'
+                    message: 'Please add a comment or upload a document'
                 });
             }
 
-            if (user.role !== 'Alumni') {
+            const user = await User.findById(req.user._id);
+            const verificationCase = await VerificationCase.openForUser(user);
+
+            if (verificationCase.status === 'approved') {
                 return res.status(400).json({
                     success: false,
-                    message: 'Only alumni can be verified'
+                    message: 'Your account is already verified'
                 });
             }
 
-            user.isVerified = true;
-            await user.save();
+            if (documentFile) {
+                verificationCase.addDocument(VERIFICATION_DOCUMENT_KINDS[user.role], documentFile.filename);
+                if (user.role !== 'Recruiter') {
+                    user.profile.bracuIdCard = documentFile.filename;
+                    await user.save();
+                }
+            }
+            if (comment) {
+                verificationCase.addComment(user._id, comment);
+            }
+            verificationCase.resubmit(user._id);
+            await verificationCase.save();
 
             res.json({
                 success: true,
-                message: 'User verified successfully',
-                data: { user }
+                message: 'Verification resubmitted. An admin will review it again.',
+                data: { case: verificationCase }
             });
         } catch (error) {
-            console.error('Verify user error:', error);
+            console.error('Resubmit verification error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to verify user',
+                message: 'Failed to resubmit verification',
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
@@ -429,7 +473,7 @@ class UserController {
     static async toggleUserBlock(req, res) {
         try {
             const { id } = req.params;
-            const { isBlocked } = req.body;
+            const { isBlocked, reason } = req.body;
 
             const user = await User.findById(id);
             if (!user) {
@@ -439,9 +483,38 @@ class UserController {
                 });
             }
 
+            if (user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot block your own account'
+                });
+            }
+
+            if (!user.canBeManagedBy(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts can only be blocked by admins holding manage:admins and all of their permissions'
+                });
+            }
+
+            const before = AuditLog.snapshot(user, ['isBlocked']);
+
             user.isBlocked = isBlocked;
             await user.save();
 
+            // Blocking signs the user out everywhere
+            if (isBlocked) {
+                await Session.revokeAllForUser(user._id, 'blocked');
+            }
+
+            await AuditLog.record(req, {
+                action: isBlocked ? 'user.block' : 'user.unblock',
+                target: user,
+                before,
+                after: AuditLog.snapshot(user, ['isBlocked']),
+                reason
+            });
+
             res.json({
                 success: true,
                 message: `User ${isBlocked ? 'blocked' : 'unblocked'} successfully`,
@@ -470,7 +543,29 @@ class UserController {
                 });
             }
 
-            await User.findByIdAndDelete(id);
+            if (user._id.equals(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot delete your own account'
+                });
+            }
+
+            if (!user.canBeManagedBy(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Admin accounts can only be deleted by admins holding manage:admins and all of their permissions'
+                });
+            }
+
+            // Cascade: strip the user's data from every collection instead of leaving it orphaned
+            await anonymizeAccount(user._id);
+
+            await AuditLog.record(req, {
+                action: 'user.delete',
+                target: user,
+                before: AuditLog.snapshot(user, ['name', 'email', 'role', 'isVerified', 'isBlocked']),
+                reason: req.body.reason
+            });
 
             res.json({
                 success: true,
@@ -486,6 +581,305 @@ class UserController {
         }
     }
 
+    // Download everything stored about the current user (ZIP with files, or JSON)
+    static async exportMyData(req, res) {
+        try {
+            if (req.impersonatedBy) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Data export is not available while impersonating a user'
+                });
+            }
+
+            const data = await collectUserData(req.user._id);
+            if (!data) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const filename = `bracuout-data-${new Date().toISOString().slice(0, 10)}`;
+
+            if (req.query.format === 'json') {
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+                return res.json({
+                    success: true,
+                    data
+                });
+            }
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+            await writeExportZip(data, res);
+        } catch (error) {
+            console.error('Export user data error:', error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export user data',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get the current user's pending account deletion, if any
+    static async getAccountDeletion(req, res) {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    deletion: req.user.deletion?.scheduledFor ? req.user.deletion : null
+                }
+            });
+        } catch (error) {
+            console.error('Get account deletion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get account deletion status',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Schedule the current user's account for deletion after a grace period
+    static async requestAccountDeletion(req, res) {
+        try {
+            const { password } = req.body;
+
+            if (!password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password is required to delete your account'
+                });
+            }
+
+            const user = await User.findById(req.user._id).select('+password');
+            if (!(await user.correctPassword(password))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Password is incorrect'
+                });
+            }
+
+            if (user.deletion?.scheduledFor) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Account deletion is already scheduled',
+                    data: { deletion: user.deletion }
+                });
+            }
+
+            user.deletion = {
+                requestedAt: new Date(),
+                scheduledFor: new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+            };
+            await user.save();
+
+            // Sign out every other device; this one stays so the user can still cancel
+            await Session.revokeAllForUser(user._id, 'logout', req.authSession._id);
+
+            await mailService.notify('accountDeletionScheduled', user.email, {
+                name: user.name,
+                scheduledFor: user.deletion.scheduledFor.toUTCString(),
+                cancelUrl: mailService.frontendUrl('/settings/account')
+            });
+
+            res.json({
+                success: true,
+                message: `Your account will be deleted on ${user.deletion.scheduledFor.toUTCString()}. Log in and cancel before then to keep it.`,
+                data: { deletion: user.deletion }
+            });
+        } catch (error) {
+            console.error('Request account deletion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to schedule account deletion',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Cancel the current user's pending account deletion
+    static async cancelAccountDeletion(req, res) {
+        try {
+            const user = await User.findById(req.user._id);
+
+            if (!user.deletion?.scheduledFor) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No account deletion is scheduled'
+                });
+            }
+
+            user.deletion = { requestedAt: null, scheduledFor: null };
+            await user.save();
+
+            res.json({
+                success: true,
+                message: 'Account deletion cancelled'
+            });
+        } catch (error) {
+            console.error('Cancel account deletion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to cancel account deletion',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get the current student's alumni transition request
+    static async getAlumniTransition(req, res) {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    role: req.user.role,
+                    transition: req.user.alumniTransition?.status ? req.user.alumniTransition : null
+                }
+            });
+        } catch (error) {
+            console.error('Get alumni transition error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get alumni transition request',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Ask to turn the current student account into an alumni account
+    static async requestAlumniTransition(req, res) {
+        try {
+            const graduationProof = req.file;
+            const { graduationYear } = req.body;
+
+            if (!graduationProof) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Proof of graduation is required'
+                });
+            }
+
+            const user = await User.findById(req.user._id);
+
+            if (user.alumniTransition?.status === 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You already have a pending alumni transition request'
+                });
+            }
+
+            user.alumniTransition = {
+                status: 'pending',
+                graduationProof: graduationProof.filename,
+                graduationYear: graduationYear || '',
+                requestedAt: new Date(),
+                reviewedBy: null,
+                reviewedAt: null,
+                reviewNotes: ''
+            };
+            await user.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Alumni transition requested. An admin will review your proof of graduation.',
+                data: { transition: user.alumniTransition }
+            });
+        } catch (error) {
+            console.error('Request alumni transition error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to request alumni transition',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Get the current alumni's verification expiry and renewal status
+    static async getAlumniVerification(req, res) {
+        try {
+            const user = req.user;
+
+            res.json({
+                success: true,
+                data: {
+                    isVerified: user.isVerified,
+                    verifiedAt: user.alumniVerification?.verifiedAt || null,
+                    expiresAt: user.alumniVerificationExpiresAt(),
+                    canGiveReferrals: user.hasCurrentAlumniVerification(),
+                    renewal: user.alumniVerification?.renewal?.status ? user.alumniVerification.renewal : null
+                }
+            });
+        } catch (error) {
+            console.error('Get alumni verification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get alumni verification',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Submit updated employment evidence to renew alumni verification
+    static async renewAlumniVerification(req, res) {
+        try {
+            const employmentProof = req.file;
+            const { company, jobTitle } = req.body;
+
+            if (!employmentProof || !company) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Proof of current employment and company are required'
+                });
+            }
+
+            const user = await User.findById(req.user._id);
+
+            if (!user.isVerified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your alumni account has not been verified yet'
+                });
+            }
+
+            if (user.alumniVerification.renewal?.status === 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You already have a pending verification renewal'
+                });
+            }
+
+            user.alumniVerification.renewal = {
+                status: 'pending',
+                employmentProof: employmentProof.filename,
+                company,
+                jobTitle: jobTitle || '',
+                submittedAt: new Date(),
+                reviewedBy: null,
+                reviewedAt: null,
+                reviewNotes: ''
+            };
+            await user.save();
+
+            res.status(201).json({
+                success: true,
+                message: 'Verification renewal submitted. An admin will review your employment evidence.',
+                data: { renewal: user.alumniVerification.renewal }
+            });
+        } catch (error) {
+            console.error('Renew alumni verification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to submit verification renewal',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
     // Get all users with filters (Admin only)
     static async getAllUsers(req, res) {
         try {
@@ -536,31 +930,25 @@ class UserController {
             const studentId = req.user.id;
 
             // Get job applications
-            const jobApplications = await Job.aggregate([
-                { $unwind: '$applications' },
-                { $match: { 'applications.studentId': studentId } },
-                {
-                    $lookup: {
-                        from: 'users',
-                        localField: 'postedBy',
-                        foreignField: '_id',
-                        as: 'recruiter'
-                    }
-                },
-                { $unwind: '$recruiter' },
-                {
-                    $project: {
+            const jobApplications = await Application.find({ student: studentId })
+                .populate({
+                    path: 'job',
+                    select: 'title company postedBy',
+                    populate: { path: 'postedBy', select: 'name email' }
+                })
+                .sort({ appliedAt: -1 })
+                .then(applications => applications
+                    .filter(application => application.job?.postedBy)
+                    .map(application => ({
+                        _id: application._id,
                         type: 'job',
-                        jobTitle: '$title',
-                        company: '$company',
-                        status: '$applications.status',
-                        appliedAt: '$applications.appliedAt',
-                        recruiterName: '$recruiter.name',
-                        recruiterEmail: '$recruiter.email'
-                    }
-                },
-                { $sort: { appliedAt: -1 } }
-            ]);
+                        jobTitle: application.job.title,
+                        company: application.job.company,
+                        status: application.status,
+                        appliedAt: application.appliedAt,
+                        recruiterName: application.job.postedBy.name,
+                        recruiterEmail: application.job.postedBy.email
+                    })));
 
             // Get referral applications
             const referralApplications = await Referral.aggregate([
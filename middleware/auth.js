@@ -1,5 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Look up the session an access token was issued for; null if it was revoked or has expired
+const findActiveSession = async (sessionId) => {
+    if (!sessionId) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive) return null;
+
+    return session;
+};
 
 // JWT verification middleware
 const jwtVerify = async (req, res, next) => {
@@ -21,6 +35,15 @@ const jwtVerify = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Reject tokens whose session was revoked (logout, password reset, block)
+        const session = await findActiveSession(decoded.sid);
+        if (!session || session.userId.toString() !== decoded.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
         // Get user from token
         const user = await User.findById(decoded.id).select('-password');
 
@@ -39,7 +62,33 @@ const jwtVerify = async (req, res, next) => {
             });
         }
 
+        // Sessions are not opened before the email is confirmed; refuse any that predate that rule
+        if (user.requiresEmailVerification() && !session.impersonatedBy) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please confirm your email address before logging in.',
+                emailVerificationRequired: true
+            });
+        }
+
+        // Impersonation sessions can look but not touch
+        if (session.impersonatedBy) {
+            res.set('X-Impersonated-By', session.impersonatedBy.toString());
+
+            if (!READ_ONLY_METHODS.includes(req.method)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Impersonation sessions are read-only.',
+                    impersonation: true
+                });
+            }
+        }
+
+        await session.touch(req.ip);
+
         req.user = user;
+        req.authSession = session;
+        req.impersonatedBy = session.impersonatedBy || null;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -106,10 +155,15 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.id).select('-password');
+            const session = await findActiveSession(decoded.sid);
+            const user = session ? await User.findById(decoded.id).select('-password') : null;
+
+            const readOnlyViolation = session?.impersonatedBy && !READ_ONLY_METHODS.includes(req.method);
 
-            if (user && !user.isBlocked) {
+            if (user && !user.isBlocked && !readOnlyViolation) {
                 req.user = user;
+                req.authSession = session;
+                req.impersonatedBy = session.impersonatedBy || null;
             }
         }
 
@@ -120,11 +174,37 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    });
+};
+
+// Open a new session for the requesting device and issue its access and refresh tokens
+const issueAuthTokens = async (userId, req, { twoFactorVerified = false } = {}) => {
+    const { session, refreshToken } = await Session.createForUser(userId, {
+        userAgent: req.get('user-agent') || '',
+        ipAddress: req.ip || '',
+        twoFactorVerified
+    });
+    const token = generateToken(userId, session._id);
+    return { token, refreshToken, session };
+};
+
+// Open a read-only impersonation session on the target user's account for an admin
+const issueImpersonationToken = async (targetUserId, adminId, req) => {
+    const session = await Session.createImpersonation(targetUserId, adminId, {
+        userAgent: req.get('user-agent') || '',
+        ipAddress: req.ip || '',
+        ttlMinutes: IMPERSONATION_TTL_MINUTES
     });
+    const token = jwt.sign(
+        { id: targetUserId, sid: session._id, imp: adminId },
+        process.env.JWT_SECRET,
+        { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+    );
+    return { token, session };
 };
 
 module.exports = {
@@ -132,5 +212,7 @@ module.exports = {
     roleProtect,
     requireVerification,
     optionalAuth,
-    generateToken
+    generateToken,
+    issueAuthTokens,
+    issueImpersonationToken
 };
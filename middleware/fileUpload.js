@@ -1,66 +1,85 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getStorage, multerStorage, storageKey, variantFilename } = require('../services/storage');
+const { inspectUpload, sanitizeFilename, UploadInspectionError } = require('../services/fileInspection');
+const { PHOTO_VARIANTS, processProfilePhoto, processDocumentImage } = require('../services/imageProcessing');
 
-// Configure storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        let uploadPath = 'uploads/';
-
-        // Determine upload directory based on file type
-        switch (file.fieldname) {
-            case 'profilePhoto':
-                uploadPath += 'profiles/';
-                break;
-            case 'resume':
-                uploadPath += 'resumes/';
-                break;
-            case 'coverLetter':
-                uploadPath += 'coverletters/';
-                break;
-            case 'bracuIdCard':
-                uploadPath += 'idcards/';
-                break;
-            default:
-                uploadPath += 'misc/';
-        }
-
-        // Create directory if it doesn't exist
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        // Generate unique filename
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        const name = path.basename(file.originalname, ext);
-        cb(null, `${name}-${uniqueSuffix}${ext}`);
+// Upload folder for each form field
+const uploadFolder = (fieldname) => {
+    switch (fieldname) {
+        case 'profilePhoto':
+            return 'profiles';
+        case 'resume':
+            return 'resumes';
+        case 'coverLetter':
+            return 'coverletters';
+        case 'bracuIdCard':
+            return 'idcards';
+        case 'graduationProof':
+            return 'graduation';
+        case 'employmentProof':
+            return 'employment';
+        default:
+            return 'misc';
     }
-});
-
-// File filter function
-const fileFilter = (req, file, cb) => {
-    const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    const allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+};
 
-    let allowedTypes = [];
+const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
 
-    // Determine allowed types based on field name
-    switch (file.fieldname) {
+// Allowed types for each form field
+const allowedTypesFor = (fieldname) => {
+    switch (fieldname) {
         case 'profilePhoto':
         case 'bracuIdCard':
-            allowedTypes = allowedImageTypes;
-            break;
+            return allowedImageTypes;
         case 'resume':
         case 'coverLetter':
-            allowedTypes = [...allowedImageTypes, ...allowedDocumentTypes];
-            break;
+            return [...allowedImageTypes, ...allowedDocumentTypes];
         default:
-            allowedTypes = [...allowedImageTypes, ...allowedDocumentTypes];
+            return [...allowedImageTypes, ...allowedDocumentTypes];
+    }
+};
+
+// Configure storage: files go to the configured storage backend (local disk or S3)
+// once their content has passed inspection
+const storage = multerStorage({
+    folder: (req, file) => uploadFolder(file.fieldname),
+    inspect: async (req, file, buffer) => {
+        const type = await inspectUpload({
+            buffer,
+            originalname: file.originalname,
+            allowedTypes: allowedTypesFor(file.fieldname),
+            folder: uploadFolder(file.fieldname)
+        });
+        file.contentType = type.mime;
+        file.detectedExtension = type.ext;
+    },
+    // Images are re-encoded without their metadata; profile photos also get thumbnails
+    transform: async (req, file, buffer) => {
+        if (!file.contentType.startsWith('image/')) {
+            return { body: buffer };
+        }
+
+        const image = file.fieldname === 'profilePhoto'
+            ? await processProfilePhoto(buffer)
+            : await processDocumentImage(buffer);
+        file.contentType = image.contentType;
+        file.detectedExtension = image.extension;
+        return { body: image.body, variants: image.variants };
+    },
+    filename: (req, file) => {
+        // Generate unique filename; the extension comes from the detected type
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        return `${sanitizeFilename(file.originalname)}-${uniqueSuffix}${file.detectedExtension}`;
     }
+});
+
+// File filter function; rejects by the client's mimetype early, the content is
+// checked again once the file has been received
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = allowedTypesFor(file.fieldname);
 
     if (allowedTypes.includes(file.mimetype)) {
         cb(null, true);
@@ -84,6 +103,8 @@ const uploadProfilePhoto = upload.single('profilePhoto');
 const uploadResume = upload.single('resume');
 const uploadCoverLetter = upload.single('coverLetter');
 const uploadIdCard = upload.single('bracuIdCard');
+const uploadGraduationProof = upload.single('graduationProof');
+const uploadEmploymentProof = upload.single('employmentProof');
 const uploadMultiple = upload.array('files', 5);
 
 // Handle upload errors
@@ -109,6 +130,13 @@ const handleUploadError = (error, req, res, next) => {
         }
     }
 
+    if (error instanceof UploadInspectionError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
     if (error.message.includes('Invalid file type')) {
         return res.status(400).json({
             success: false,
@@ -119,22 +147,32 @@ const handleUploadError = (error, req, res, next) => {
     next(error);
 };
 
-// Get file URL
+// Get file URL; everything but profile photos is served through the access-checked files API
 const getFileUrl = (filename, type = 'misc') => {
     if (!filename) return null;
 
     const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
-    return `${baseUrl}/uploads/${type}/${filename}`;
+    return type === 'profiles'
+        ? `${baseUrl}/uploads/profiles/${filename}`
+        : `${baseUrl}/api/files/${type}/${filename}`;
 };
 
-// Delete file
-const deleteFile = (filepath) => {
+// URLs of a profile photo and its thumbnails
+const getProfilePhotoUrls = (filename) => {
+    if (!filename) return null;
+
+    const urls = { original: getFileUrl(filename, 'profiles') };
+    Object.keys(PHOTO_VARIANTS).forEach(variant => {
+        urls[variant] = getFileUrl(variantFilename(filename, variant), 'profiles');
+    });
+    return urls;
+};
+
+// Delete file from the storage backend
+const deleteFile = async (folder, filename) => {
     try {
-        if (fs.existsSync(filepath)) {
-            fs.unlinkSync(filepath);
-            return true;
-        }
-        return false;
+        await getStorage().remove(storageKey(folder, filename));
+        return true;
     } catch (error) {
         console.error('Error deleting file:', error);
         return false;
@@ -185,9 +223,12 @@ module.exports = {
     uploadResume,
     uploadCoverLetter,
     uploadIdCard,
+    uploadGraduationProof,
+    uploadEmploymentProof,
     uploadMultiple,
     handleUploadError,
     getFileUrl,
+    getProfilePhotoUrls,
     deleteFile,
     validateFileSize,
     validateFileType,
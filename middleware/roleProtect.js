@@ -15,10 +15,66 @@ const roleProtect = (...allowedRoles) => {
             });
         }
 
+        if (req.user.role === 'Admin' && !hasTwoFactorSession(req)) {
+            return sendTwoFactorRequired(req, res);
+        }
+
         next();
     };
 };
 
+// Admin routes need a two-factor verified session when policy makes 2FA mandatory
+const hasTwoFactorSession = (req) => !req.user.mustUseTwoFactor() || !!req.authSession?.twoFactorVerified;
+
+const sendTwoFactorRequired = (req, res) => res.status(403).json({
+    success: false,
+    message: req.user.twoFactor?.enabled
+        ? 'Two-factor authentication required. Please log in again with your authenticator code.'
+        : 'Two-factor authentication must be enabled for admin accounts.',
+    twoFactorSetupRequired: !req.user.twoFactor?.enabled
+});
+
+// Admin permission check: the user must be an admin holding every listed permission,
+// or at least one of them when matchAll is false
+const permissionGuard = (permissions, matchAll) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (req.user.role !== 'Admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Insufficient permissions.'
+            });
+        }
+
+        if (!hasTwoFactorSession(req)) {
+            return sendTwoFactorRequired(req, res);
+        }
+
+        const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+        if (matchAll ? missing.length > 0 : missing.length === permissions.length) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Missing admin permission.',
+                requiredPermissions: missing
+            });
+        }
+
+        next();
+    };
+};
+
+// Admin permission middleware: the user must be an admin holding every listed permission
+const requirePermission = (...permissions) => permissionGuard(permissions, true);
+
+// Admin permission middleware: the user must be an admin holding at least one listed permission
+const requireAnyPermission = (...permissions) => permissionGuard(permissions, false);
+
 // Verify user is verified (for alumni)
 const requireVerification = (req, res, next) => {
     if (!req.user) {
@@ -164,7 +220,10 @@ const checkSpamScore = (maxScore = 5) => {
 };
 
 module.exports = {
+    hasTwoFactorSession,
     roleProtect,
+    requirePermission,
+    requireAnyPermission,
     requireVerification,
     checkBlocked,
     optionalAuth,
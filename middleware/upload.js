@@ -1,49 +1,59 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        let uploadPath = uploadDir;
-
-        // Create subdirectories based on file type
-        if (file.fieldname === 'profilePhoto') {
-            uploadPath = path.join(uploadDir, 'profiles');
-        } else if (file.fieldname === 'resume') {
-            uploadPath = path.join(uploadDir, 'resumes');
-        } else if (file.fieldname === 'idCard') {
-            uploadPath = path.join(uploadDir, 'idcards');
-        } else if (file.fieldname === 'coverLetter') {
-            uploadPath = path.join(uploadDir, 'coverletters');
-        }
+const { getStorage, multerStorage, storageKey } = require('../services/storage');
+const { inspectUpload, UploadInspectionError } = require('../services/fileInspection');
+const { processProfilePhoto, processDocumentImage } = require('../services/imageProcessing');
+
+// Allowed file types
+const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const allowedDocTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+
+// Subfolders based on file type
+const uploadFolder = (fieldname) => {
+    if (fieldname === 'profilePhoto') return 'profiles';
+    if (fieldname === 'resume') return 'resumes';
+    if (fieldname === 'idCard') return 'idcards';
+    if (fieldname === 'coverLetter') return 'coverletters';
+    return 'misc';
+};
 
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
+// Configure storage: files go to the configured storage backend (local disk or S3)
+// once their content has passed inspection
+const storage = multerStorage({
+    folder: (req, file) => uploadFolder(file.fieldname),
+    inspect: async (req, file, buffer) => {
+        const isDocument = file.fieldname === 'resume' || file.fieldname === 'coverLetter';
+        const type = await inspectUpload({
+            buffer,
+            originalname: file.originalname,
+            allowedTypes: isDocument ? allowedDocTypes : allowedImageTypes,
+            folder: uploadFolder(file.fieldname)
+        });
+        file.contentType = type.mime;
+        file.detectedExtension = type.ext;
+    },
+    // Images are re-encoded without their metadata; profile photos also get thumbnails
+    transform: async (req, file, buffer) => {
+        if (!file.contentType.startsWith('image/')) {
+            return { body: buffer };
         }
 
-        cb(null, uploadPath);
+        const image = file.fieldname === 'profilePhoto'
+            ? await processProfilePhoto(buffer)
+            : await processDocumentImage(buffer);
+        file.contentType = image.contentType;
+        file.detectedExtension = image.extension;
+        return { body: image.body, variants: image.variants };
     },
-    filename: (req, file, cb) => {
-        // Generate unique filename
+    filename: (req, file) => {
+        // Generate unique filename; the extension comes from the detected type
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
+        return file.fieldname + '-' + uniqueSuffix + file.detectedExtension;
     }
 });
 
-// File filter function
+// File filter function; checks the client's mimetype, the content is inspected
+// again once the file has been received
 const fileFilter = (req, file, cb) => {
-    // Allowed file types
-    const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-    const allowedDocTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-
     if (file.fieldname === 'profilePhoto') {
         // Only images for profile photos
         if (allowedImageTypes.includes(file.mimetype)) {
@@ -107,6 +117,13 @@ const handleUploadError = (error, req, res, next) => {
         });
     }
 
+    if (error instanceof UploadInspectionError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
     if (error) {
         return res.status(400).json({
             success: false,
@@ -117,7 +134,7 @@ const handleUploadError = (error, req, res, next) => {
     next();
 };
 
-// Helper function to get file URL
+// Helper function to get file URL; only profile photos are served statically
 const getFileUrl = (filename, type) => {
     if (!filename) return null;
 
@@ -125,13 +142,15 @@ const getFileUrl = (filename, type) => {
         ? process.env.BASE_URL || 'https://your-domain.com'
         : `http://localhost:${process.env.PORT || 5000}`;
 
-    return `${baseUrl}/uploads/${type}/${filename}`;
+    return type === 'profiles'
+        ? `${baseUrl}/uploads/profiles/${filename}`
+        : `${baseUrl}/api/files/${type}/${filename}`;
 };
 
-// Helper function to delete file
-const deleteFile = (filePath) => {
-    if (filePath && fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+// Helper function to delete file from the storage backend
+const deleteFile = async (folder, filename) => {
+    if (folder && filename) {
+        await getStorage().remove(storageKey(folder, filename));
     }
 };
 
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { backfillExpiryDates } = require('./services/alumniVerification');
+
+// Give alumni verified before expiry was tracked an expiry date at the end of a grace
+// period (ALUMNI_VERIFICATION_GRACE_DAYS), so they are reminded and can renew before
+// losing referral eligibility. Run once on deploy; safe to run again:
+//   npm run migrate:alumni-verification
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for alumni verification migration');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        const updated = await backfillExpiryDates();
+        console.log(`Set the verification expiry date of ${updated} alumni`);
+    } catch (error) {
+        console.error('Alumni verification migration failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
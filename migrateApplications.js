@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('./models/Job');
+const Application = require('./models/Application');
+
+// Move job applications out of the applicants array embedded in each job into the
+// applications collection. Applications keep their ids, so links to them stay valid,
+// and each job's application count is reset to what was moved. Safe to run more
+// than once:
+//   npm run migrate:applications
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for applications migration');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Application document for one entry of a job's applicants array
+const toApplication = (job, applicant) => {
+    const status = applicant.status || 'applied';
+    const appliedAt = applicant.appliedAt || job.createdAt || new Date();
+
+    return {
+        _id: applicant._id,
+        job: job._id,
+        student: applicant.userId,
+        recruiter: job.postedBy,
+        status,
+        statusHistory: applicant.statusHistory?.length
+            ? applicant.statusHistory
+            : [{ from: null, to: status, changedBy: applicant.userId, note: '', at: appliedAt }],
+        appliedAt,
+        resume: applicant.resume || '',
+        coverLetter: applicant.coverLetter || '',
+        notes: applicant.notes || '',
+        createdAt: appliedAt,
+        updatedAt: new Date()
+    };
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        await Application.createIndexes();
+
+        let jobs = 0;
+        let moved = 0;
+        const cursor = Job.collection.find(
+            { applicants: { $exists: true } },
+            { projection: { postedBy: 1, createdAt: 1, applicants: 1 } }
+        );
+
+        for await (const job of cursor) {
+            const applicants = (job.applicants || []).filter(applicant => applicant.userId);
+
+            if (applicants.length) {
+                // Match on job and student too, so a student who applied again after an
+                // earlier run does not end up with two applications
+                await Application.collection.bulkWrite(applicants.map(applicant => ({
+                    updateOne: {
+                        filter: { job: job._id, student: applicant.userId },
+                        update: { $setOnInsert: toApplication(job, applicant) },
+                        upsert: true
+                    }
+                })), { ordered: false });
+            }
+
+            await Job.collection.updateOne(
+                { _id: job._id },
+                {
+                    $set: { applications: await Application.countDocuments({ job: job._id }) },
+                    $unset: { applicants: '' }
+                }
+            );
+            jobs++;
+            moved += applicants.length;
+        }
+
+        console.log(`Moved ${moved} application(s) out of ${jobs} job(s)`);
+    } catch (error) {
+        console.error('Applications migration failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
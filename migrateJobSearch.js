@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('./models/Job');
+
+// Prepare existing jobs for search: build the text index and fill in the experience
+// level of jobs posted before it existed. Safe to run more than once:
+//   npm run migrate:job-search
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for job search migration');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        await Job.createIndexes();
+
+        let updated = 0;
+        const cursor = Job.collection.find(
+            { 'requirements.experienceLevel': { $exists: false } },
+            { projection: { 'requirements.experience': 1 } }
+        );
+
+        for await (const job of cursor) {
+            await Job.collection.updateOne(
+                { _id: job._id },
+                { $set: { 'requirements.experienceLevel': Job.experienceLevelFor(job.requirements?.experience) } }
+            );
+            updated++;
+        }
+
+        console.log(`Search index ready, set the experience level of ${updated} job(s)`);
+    } catch (error) {
+        console.error('Job search migration failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
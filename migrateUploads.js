@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { UPLOADS_DIR, storageKey, getStorage, contentTypeFor } = require('./services/storage');
+
+// Copy files from the local uploads/ folder into the configured storage backend.
+// Files already present in the backend are skipped, so it can be re-run safely:
+//   STORAGE_DRIVER=s3 npm run migrate:uploads
+//   STORAGE_DRIVER=s3 npm run migrate:uploads -- --remove-local
+
+// List "<folder>/<filename>" entries under uploads/
+const listLocalFiles = () => {
+    if (!fs.existsSync(UPLOADS_DIR)) return [];
+
+    return fs.readdirSync(UPLOADS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(folder => fs.readdirSync(path.join(UPLOADS_DIR, folder.name), { withFileTypes: true })
+            .filter(entry => entry.isFile())
+            .map(entry => ({ folder: folder.name, filename: entry.name })));
+};
+
+// Main function
+const main = async () => {
+    const storage = getStorage();
+    if (storage.driver === 'local') {
+        console.error('STORAGE_DRIVER is local; set it to the backend you want to migrate uploads to.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const removeLocal = process.argv.includes('--remove-local');
+    let copied = 0;
+    let skipped = 0;
+
+    try {
+        for (const { folder, filename } of listLocalFiles()) {
+            const key = storageKey(folder, filename);
+            const localPath = path.join(UPLOADS_DIR, folder, filename);
+
+            if (await storage.exists(key)) {
+                skipped++;
+            } else {
+                await storage.put(key, await fs.promises.readFile(localPath), { contentType: contentTypeFor(filename) });
+                copied++;
+            }
+
+            if (removeLocal) {
+                await fs.promises.unlink(localPath);
+            }
+        }
+        console.log(`Copied ${copied} file(s), ${skipped} already in ${storage.driver} storage`);
+    } catch (error) {
+        console.error('Upload migration failed:', error);
+        process.exitCode = 1;
+    }
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
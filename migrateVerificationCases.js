@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/User');
+const VerificationCase = require('./models/VerificationCase');
+
+// Move the per-role verification subdocuments on users into VerificationCase documents
+// and remove the old fields. Safe to run more than once:
+//   npm run migrate:verification
+
+// Where each role's review state used to live on the user document
+const LEGACY_FIELDS = {
+    Student: { path: 'studentVerification', kind: 'bracuIdCard' },
+    Alumni: { path: 'alumniVerification', kind: 'bracuIdCard' },
+    Recruiter: { path: 'recruiterVerification', kind: 'companyDocument' }
+};
+
+const LEGACY_UNSET = {
+    studentVerification: '',
+    'alumniVerification.idCardUploaded': '',
+    'alumniVerification.idCardVerified': '',
+    'alumniVerification.verificationNotes': '',
+    'recruiterVerification.companyDocumentUploaded': '',
+    'recruiterVerification.companyDocumentVerified': '',
+    'recruiterVerification.verifiedBy': '',
+    'recruiterVerification.verifiedAt': '',
+    'recruiterVerification.verificationNotes': ''
+};
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for verification case migration');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Build a case from a raw user document
+const caseFromLegacyUser = (user) => {
+    const { path, kind } = LEGACY_FIELDS[user.role];
+    const legacy = user[path] || {};
+    const openedAt = user.createdAt || new Date();
+    const reviewedAt = legacy.verifiedAt || null;
+
+    let status = 'pending';
+    if (user.isVerified) status = 'approved';
+    else if (legacy.verifiedBy || reviewedAt) status = 'rejected';
+
+    const verificationCase = new VerificationCase({
+        user: user._id,
+        role: user.role,
+        status,
+        submittedAt: openedAt,
+        reviewedBy: legacy.verifiedBy || null,
+        reviewedAt,
+        history: [{ status: 'pending', changedBy: user._id, note: 'Case opened', at: openedAt }]
+    });
+
+    if (status !== 'pending') {
+        verificationCase.history.push({
+            status,
+            changedBy: legacy.verifiedBy || null,
+            note: legacy.verificationNotes || '',
+            at: reviewedAt || user.updatedAt || openedAt
+        });
+    }
+
+    const filename = kind === 'bracuIdCard' ? user.profile?.bracuIdCard : user.profile?.companyDocument;
+    if (filename) {
+        verificationCase.documents.push({ kind, folder: 'idcards', filename, uploadedAt: openedAt });
+    }
+
+    if (legacy.verificationNotes && legacy.verifiedBy) {
+        verificationCase.comments.push({
+            author: legacy.verifiedBy,
+            fromReviewer: true,
+            body: legacy.verificationNotes,
+            createdAt: reviewedAt || openedAt
+        });
+    }
+
+    return verificationCase;
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        let created = 0;
+        // Read raw documents: the legacy fields are no longer part of the User schema
+        const cursor = User.collection.find({ role: { $in: Object.keys(LEGACY_FIELDS) } });
+
+        for await (const user of cursor) {
+            if (await VerificationCase.exists({ user: user._id })) continue;
+
+            // Recruiters still confirming a trusted company address get their case on confirmation
+            if (user.role === 'Recruiter' && user.recruiterVerification?.trustedDomain && user.emailVerified === false) continue;
+
+            await caseFromLegacyUser(user).save();
+            created++;
+        }
+
+        const { modifiedCount } = await User.collection.updateMany({}, { $unset: LEGACY_UNSET });
+
+        console.log(`Created ${created} verification case(s), cleaned up ${modifiedCount} user(s)`);
+    } catch (error) {
+        console.error('Verification case migration failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+const { ALL_ADMIN_PERMISSIONS } = require('../config/permissions');
+
+const ADMIN_INVITATION_TTL_HOURS = parseInt(process.env.ADMIN_INVITATION_TTL_HOURS) || 72;
+const TOKEN_PURPOSE = 'admin_invitation';
+
+const adminInvitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        validate: [validator.isEmail, 'Please provide a valid email']
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Name cannot exceed 50 characters'],
+        default: ''
+    },
+    // Permissions the new admin receives on accepting
+    permissions: {
+        type: [{
+            type: String,
+            enum: ALL_ADMIN_PERMISSIONS
+        }],
+        default: []
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+adminInvitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+adminInvitationSchema.index({ createdAt: -1 });
+
+// Virtual for the invitation's current state
+adminInvitationSchema.virtual('status').get(function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+});
+
+// Instance method to sign the token sent in the invitation link
+adminInvitationSchema.methods.signToken = function () {
+    const expiresInSeconds = Math.max(Math.floor((this.expiresAt.getTime() - Date.now()) / 1000), 1);
+
+    return jwt.sign(
+        { id: this._id, email: this.email, purpose: TOKEN_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: expiresInSeconds }
+    );
+};
+
+// Static method to create an invitation, replacing any pending one for the same email
+adminInvitationSchema.statics.createForEmail = async function (email, { name, permissions, invitedBy }) {
+    await this.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: invitedBy }
+    );
+
+    const invitation = await this.create({
+        email,
+        name,
+        permissions,
+        invitedBy,
+        expiresAt: new Date(Date.now() + ADMIN_INVITATION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    return { invitation, token: invitation.signToken() };
+};
+
+// Static method to resolve a signed token to its pending invitation (null if invalid, used, revoked or expired)
+adminInvitationSchema.statics.findPendingByToken = async function (token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    if (!decoded || decoded.purpose !== TOKEN_PURPOSE || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+        return null;
+    }
+
+    const invitation = await this.findById(decoded.id);
+    if (!invitation || invitation.email !== decoded.email || invitation.status !== 'pending') {
+        return null;
+    }
+
+    return invitation;
+};
+
+// Ensure virtual fields are serialized
+adminInvitationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('AdminInvitation', adminInvitationSchema);
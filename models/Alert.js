@@ -8,7 +8,7 @@ const alertSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['connectionRequest', 'jobPost', 'approval'],
+        enum: ['connectionRequest', 'jobPost', 'approval', 'jobMatch'],
         required: true
     },
     message: {
@@ -16,6 +16,17 @@ const alertSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    // Set on jobMatch alerts
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+    },
+    savedSearchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SavedSearch',
+        default: null
+    },
     seen: {
         type: Boolean,
         default: false
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const MAX_NOTE_LENGTH = 500;
+
+// A student's application to a job. status is the key of a stage in the job's
+// pipeline; every stage change is kept in statusHistory.
+const applicationSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Poster of the job, copied from it so recruiter queries need no join
+    recruiter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        default: 'applied'
+    },
+    // Every stage change, oldest first
+    statusHistory: [{
+        _id: false,
+        from: {
+            type: String,
+            default: null
+        },
+        to: {
+            type: String,
+            required: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        note: {
+            type: String,
+            default: '',
+            maxlength: [MAX_NOTE_LENGTH, `Note cannot exceed ${MAX_NOTE_LENGTH} characters`]
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    appliedAt: {
+        type: Date,
+        default: Date.now
+    },
+    resume: {
+        type: String,
+        default: ''
+    },
+    coverLetter: {
+        type: String,
+        default: ''
+    },
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// One application per student and job
+applicationSchema.index({ job: 1, student: 1 }, { unique: true });
+applicationSchema.index({ job: 1, status: 1, appliedAt: -1 });
+applicationSchema.index({ student: 1, appliedAt: -1 });
+applicationSchema.index({ recruiter: 1, status: 1 });
+applicationSchema.index({ recruiter: 1, appliedAt: -1 });
+
+// Move the application to another stage and record the transition. Does not save
+// or check the stage against the job's pipeline; returns false when nothing changed.
+applicationSchema.methods.moveTo = function (stageKey, changedBy = null, note = '') {
+    if (this.status === stageKey) return false;
+
+    this.statusHistory.push({ from: this.status, to: stageKey, changedBy, note, at: new Date() });
+    this.status = stageKey;
+    return true;
+};
+
+// Number of applications in each stage, per job: { [jobId]: { [stage]: count } }
+applicationSchema.statics.countByStage = async function (jobIds) {
+    const rows = await this.aggregate([
+        { $match: { job: { $in: jobIds } } },
+        { $group: { _id: { job: '$job', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = {};
+    rows.forEach(({ _id, count }) => {
+        const job = _id.job.toString();
+        counts[job] = counts[job] || {};
+        counts[job][_id.status] = count;
+    });
+    return counts;
+};
+
+applicationSchema.statics.MAX_NOTE_LENGTH = MAX_NOTE_LENGTH;
+
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+    'user.verify',
+    'user.verification_reject',
+    'user.verification_info_request',
+    'user.alumni_transition_approve',
+    'user.alumni_transition_reject',
+    'user.alumni_renewal_approve',
+    'user.alumni_renewal_reject',
+    'user.block',
+    'user.unblock',
+    'user.delete',
+    'user.spam_score_update',
+    'user.login_unlock',
+    'user.sessions_revoke',
+    'user.impersonation_start',
+    'user.impersonation_stop',
+    'admin.invite',
+    'admin.invitation_revoke',
+    'admin.permissions_update',
+    'company_domain.create',
+    'company_domain.update',
+    'company_domain.delete',
+    'job.status_toggle',
+    'job.update',
+    'job.delete',
+    'referral.delete',
+    'course.delete',
+    'spam_report.resolve'
+];
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Copied so entries stay readable after the actor's account is gone
+    actorEmail: {
+        type: String,
+        default: ''
+    },
+    action: {
+        type: String,
+        enum: AUDIT_ACTIONS,
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    targetLabel: {
+        type: String,
+        default: ''
+    },
+    // One entry per changed field; before is null on creation, after is null on deletion
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    reason: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are append-only: block edits and deletions through Mongoose
+const rejectMutation = function (next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+    rejectMutation
+);
+
+const isPlainValue = (value) => value === null || typeof value !== 'object' || value instanceof Date;
+
+// Static method to copy the given (dot-path) fields out of a document
+auditLogSchema.statics.snapshot = function (doc, fields) {
+    const result = {};
+    fields.forEach(field => {
+        const value = typeof doc.get === 'function' ? doc.get(field) : field.split('.').reduce((obj, key) => obj?.[key], doc);
+        result[field] = value === undefined ? null : (isPlainValue(value) ? value : JSON.parse(JSON.stringify(value)));
+    });
+    return result;
+};
+
+// Static method to reduce before/after snapshots to the fields that actually changed
+auditLogSchema.statics.diff = function (before, after) {
+    const fields = Object.keys({ ...before, ...after });
+
+    return fields
+        .filter(field => !before || !after || JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({
+            field,
+            before: before ? before[field] ?? null : null,
+            after: after ? after[field] ?? null : null
+        }));
+};
+
+// Static method to record an action taken by the requesting user. A failed write is
+// thrown to the caller: an audited action must not report success without its entry.
+auditLogSchema.statics.record = function (req, { action, target, targetType, targetId, targetLabel, before = null, after = null, reason = '' }) {
+    return this.create({
+        actor: req.user._id,
+        actorEmail: req.user.email,
+        action,
+        targetType: targetType || target?.constructor?.modelName || 'Unknown',
+        targetId: targetId || target?._id || null,
+        targetLabel: targetLabel || target?.email || target?.title || target?.domain || target?.name || '',
+        changes: this.diff(before, after),
+        reason: reason || '',
+        ipAddress: req.ip || '',
+        userAgent: req.get?.('User-Agent') || ''
+    });
+};
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+const companyDomainSchema = new mongoose.Schema({
+    domain: {
+        type: String,
+        required: [true, 'Domain is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        validate: [validator.isFQDN, 'Please provide a valid domain']
+    },
+    companyName: {
+        type: String,
+        required: [true, 'Company name is required'],
+        trim: true,
+        maxlength: [100, 'Company name cannot exceed 100 characters']
+    },
+    includeSubdomains: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        default: ''
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+companyDomainSchema.index({ isActive: 1 });
+
+// Static method to find the active trusted domain entry an email address belongs to
+companyDomainSchema.statics.findTrustedForEmail = async function (email) {
+    const host = (email || '').split('@')[1];
+    if (!host) return null;
+
+    // "hr.acme.com" can match "hr.acme.com" exactly, or "acme.com" when subdomains are included
+    const labels = host.toLowerCase().split('.');
+    const candidates = labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+
+    const entries = await this.find({ domain: { $in: candidates }, isActive: true });
+    return entries.find(entry => entry.domain === host.toLowerCase())
+        || entries.find(entry => entry.includeSubdomains)
+        || null;
+};
+
+module.exports = mongoose.model('CompanyDomain', companyDomainSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+// Pipeline stages every job has: applications start in the first, and end in one of the last two
+const ENTRY_STAGE = { key: 'applied', name: 'Applied' };
+const FINAL_STAGES = [{ key: 'hired', name: 'Hired' }, { key: 'rejected', name: 'Rejected' }];
+
+// Stages between the two for jobs that do not configure their own
+const DEFAULT_MIDDLE_STAGES = [{ key: 'shortlisted', name: 'Shortlisted' }];
+
+const RESERVED_STAGE_KEYS = [ENTRY_STAGE.key, ...FINAL_STAGES.map(stage => stage.key)];
+
+// "Interview round 1" -> "interview_round_1"
+const stageKey = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Full pipeline from the recruiter's middle stages, given as names or { key, name }.
+// Returns null when a stage has no usable name.
+const buildPipeline = (stages = []) => {
+    const middle = [];
+    for (const stage of stages) {
+        const name = String((typeof stage === 'string' ? stage : stage?.name) || '').trim();
+        let key = stageKey((typeof stage === 'object' && stage?.key) || name);
+        if (!name || !key || name.length > 50) return null;
+        if (RESERVED_STAGE_KEYS.includes(key)) continue;
+
+        // Keep keys unique when two stages share a name
+        const base = key;
+        for (let i = 2; middle.some(existing => existing.key === key); i++) key = `${base}_${i}`;
+        middle.push({ key, name });
+    }
+    return [ENTRY_STAGE, ...middle, ...FINAL_STAGES];
+};
+
+// Seniority buckets for the experience filter, derived from the free-text requirement
+const EXPERIENCE_LEVELS = ['Entry', 'Mid', 'Senior'];
+
+// Guess the experience level from text like "2+ years", "Fresh graduate" or "Senior"
+const experienceLevelFor = (text = '') => {
+    if (/\b(intern|fresher|fresh|entry|junior|graduate|no experience)\b/i.test(text)) return 'Entry';
+    if (/\b(senior|lead|principal|staff|manager)\b/i.test(text)) return 'Senior';
+
+    const years = text.match(/\d+(\.\d+)?/);
+    if (!years) return null;
+    const count = parseFloat(years[0]);
+    if (count < 2) return 'Entry';
+    return count < 5 ? 'Mid' : 'Senior';
+};
+
 const jobSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -50,6 +95,12 @@ const jobSchema = new mongoose.Schema({
             type: String,
             required: [true, 'Experience requirement is required']
         },
+        // Set from experience unless the poster picks one
+        experienceLevel: {
+            type: String,
+            enum: [...EXPERIENCE_LEVELS, null],
+            default: null
+        },
         education: {
             type: String,
             default: 'Any'
@@ -72,38 +123,27 @@ const jobSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
-    applicants: [{
-        userId: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
-            required: true
-        },
-        status: {
-            type: String,
-            enum: ['applied', 'shortlisted', 'rejected', 'hired'],
-            default: 'applied'
-        },
-        appliedAt: {
-            type: Date,
-            default: Date.now
-        },
-        resume: {
-            type: String,
-            default: ''
-        },
-        coverLetter: {
-            type: String,
-            default: ''
-        },
-        notes: {
-            type: String,
-            default: ''
-        }
-    }],
+    // Hiring stages applications move through, in order
+    pipeline: {
+        type: [{
+            _id: false,
+            key: {
+                type: String,
+                required: true
+            },
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            }
+        }],
+        default: () => buildPipeline(DEFAULT_MIDDLE_STAGES)
+    },
     views: {
         type: Number,
         default: 0
     },
+    // Number of Application documents for the job, kept in step by the job controller
     applications: {
         type: Number,
         default: 0
@@ -117,7 +157,19 @@ jobSchema.index({ postedBy: 1 });
 jobSchema.index({ isActive: 1 });
 jobSchema.index({ deadline: 1 });
 jobSchema.index({ tags: 1 });
-jobSchema.index({ 'applicants.userId': 1 });
+jobSchema.index({ 'requirements.experienceLevel': 1 });
+
+// Full-text search, weighted towards the title
+jobSchema.index({
+    title: 'text',
+    company: 'text',
+    'requirements.skills': 'text',
+    tags: 'text',
+    description: 'text'
+}, {
+    name: 'job_text_search',
+    weights: { title: 10, company: 5, 'requirements.skills': 5, tags: 3, description: 1 }
+});
 
 // Virtual for checking if job is expired
 jobSchema.virtual('isExpired').get(function () {
@@ -126,51 +178,55 @@ jobSchema.virtual('isExpired').get(function () {
 
 // Virtual for application count
 jobSchema.virtual('applicationCount').get(function () {
-    return this.applicants ? this.applicants.length : 0;
+    return this.applications || 0;
 });
 
-// Pre-save middleware to update application count
-jobSchema.pre('save', function (next) {
-    if (!this.applicants) {
-        this.applicants = [];
+// Derive the experience level when none was picked or the requirement text changes
+jobSchema.pre('validate', function (next) {
+    const experienceChanged = !this.isNew && this.isModified('requirements.experience')
+        && !this.isDirectModified('requirements.experienceLevel');
+
+    if (!this.requirements.experienceLevel || experienceChanged) {
+        this.requirements.experienceLevel = experienceLevelFor(this.requirements.experience);
     }
-    this.applications = this.applicants.length;
     next();
 });
 
-// Instance method to add applicant
-jobSchema.methods.addApplicant = function (userId, resume = '', coverLetter = '') {
-    // Check if user already applied
-    const existingApplication = this.applicants.find(
-        app => app.userId.toString() === userId.toString()
-    );
-
-    if (existingApplication) {
-        throw new Error('User has already applied for this job');
-    }
+// Same for updates that go through findByIdAndUpdate
+jobSchema.pre('findOneAndUpdate', function (next) {
+    const update = this.getUpdate() || {};
 
-    this.applicants.push({
-        userId,
-        resume,
-        coverLetter,
-        appliedAt: new Date()
+    // Plain fields and $set can both carry the requirements
+    [update, update.$set].filter(Boolean).forEach(fields => {
+        if (fields.requirements && fields.requirements.experience !== undefined && !fields.requirements.experienceLevel) {
+            fields.requirements.experienceLevel = experienceLevelFor(fields.requirements.experience);
+        } else if (fields['requirements.experience'] !== undefined && fields['requirements.experienceLevel'] === undefined) {
+            fields['requirements.experienceLevel'] = experienceLevelFor(fields['requirements.experience']);
+        }
     });
+    next();
+});
 
-    return this.save();
+// Find a pipeline stage by key
+jobSchema.methods.getStage = function (key) {
+    return this.pipeline.find(stage => stage.key === key) || null;
 };
 
-// Instance method to update applicant status
-jobSchema.methods.updateApplicantStatus = function (userId, status) {
-    const applicant = this.applicants.find(
-        app => app.userId.toString() === userId.toString()
-    );
+// Replace the stages between "applied" and the final stages. Throws when a stage that
+// still holds applications (occupiedStages, a list of keys) would be removed.
+jobSchema.methods.setPipeline = function (stages, occupiedStages = []) {
+    const pipeline = buildPipeline(stages);
+    if (!pipeline) {
+        throw new Error('Every stage needs a name of at most 50 characters');
+    }
 
-    if (!applicant) {
-        throw new Error('Application not found');
+    const removed = this.pipeline.filter(stage => !pipeline.some(next => next.key === stage.key));
+    const occupied = removed.filter(stage => occupiedStages.includes(stage.key));
+    if (occupied.length) {
+        throw new Error(`Move applications out of these stages first: ${occupied.map(stage => stage.name).join(', ')}`);
     }
 
-    applicant.status = status;
-    return this.save();
+    this.pipeline = pipeline;
 };
 
 // Static method to find active jobs
@@ -183,9 +239,13 @@ jobSchema.statics.findActive = function () {
 
 // Static method to find jobs by recruiter
 jobSchema.statics.findByRecruiter = function (recruiterId) {
-    return this.find({ postedBy: recruiterId }).populate('applicants.userId', 'name email profile');
+    return this.find({ postedBy: recruiterId });
 };
 
+jobSchema.statics.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+jobSchema.statics.buildPipeline = buildPipeline;
+jobSchema.statics.experienceLevelFor = experienceLevelFor;
+
 // Ensure virtual fields are serialized
 jobSchema.set('toJSON', { virtuals: true });
 
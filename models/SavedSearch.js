@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Job search filters a search can store; the same names getJobs reads from the query string
+const CRITERIA_FIELDS = [
+    'search',
+    'location',
+    'type',
+    'company',
+    'minSalary',
+    'maxSalary',
+    'tags',
+    'skills',
+    'experienceLevel',
+    'closingWithin'
+];
+
+// A named set of job search filters. New or updated jobs that match it are announced
+// to the owner with jobMatch alerts, right away or in a daily or weekly digest.
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Search name is required'],
+        trim: true,
+        maxlength: [100, 'Search name cannot exceed 100 characters']
+    },
+    criteria: Object.fromEntries(CRITERIA_FIELDS.map(field => [field, { type: String, trim: true }])),
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        default: 'instant'
+    },
+    // Jobs already announced or waiting for the next digest; each job is announced once
+    matchedJobs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job'
+    }],
+    // Matches waiting for the next daily or weekly digest
+    pendingJobs: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job'
+    }],
+    lastNotifiedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ frequency: 1, lastNotifiedAt: 1 });
+
+// Keep only known, non-empty criteria from a request body
+savedSearchSchema.statics.pickCriteria = function (input = {}) {
+    const criteria = {};
+    CRITERIA_FIELDS.forEach(field => {
+        const value = Array.isArray(input[field]) ? input[field].join(',') : input[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            criteria[field] = String(value).trim();
+        }
+    });
+    return criteria;
+};
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+savedSearchSchema.statics.CRITERIA_FIELDS = CRITERIA_FIELDS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hash of the refresh token that was rotated out last, used to detect token reuse
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Admin viewing the app as this user; such sessions are read-only and cannot be refreshed
+    impersonatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Whether a two-factor code was confirmed for this session
+    twoFactorVerified: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'password_reset', 'email_change', 'blocked', 'token_reuse', 'admin', 'impersonation_end', null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ impersonatedBy: 1, revokedAt: 1 });
+// Let MongoDB purge sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Hash a raw refresh token the same way it is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Virtual for a readable device label derived from the user agent
+sessionSchema.virtual('device').get(function () {
+    const ua = this.userAgent || '';
+    if (!ua) return 'Unknown device';
+
+    let browser = 'Unknown browser';
+    if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/OPR\//.test(ua)) browser = 'Opera';
+    else if (/Chrome\//.test(ua)) browser = 'Chrome';
+    else if (/Firefox\//.test(ua)) browser = 'Firefox';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+
+    let os = 'Unknown OS';
+    if (/Android/.test(ua)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Windows/.test(ua)) os = 'Windows';
+    else if (/Mac OS X/.test(ua)) os = 'macOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    return `${browser} on ${os}`;
+});
+
+// Instance method to record activity, throttled to one write per minute
+sessionSchema.methods.touch = function (ipAddress) {
+    if (Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+        return Promise.resolve(this);
+    }
+    this.lastSeenAt = new Date();
+    if (ipAddress) this.ipAddress = ipAddress;
+    return this.save();
+};
+
+// Instance method to issue a new refresh token, invalidating the current one. The swap only
+// happens if the token this session was read with is still current, so of two concurrent
+// refreshes with the same token one wins; returns null for the loser.
+sessionSchema.methods.rotate = async function (ipAddress) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const update = {
+        previousRefreshTokenHash: this.refreshTokenHash,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry(),
+        lastSeenAt: new Date()
+    };
+    if (ipAddress) update.ipAddress = ipAddress;
+
+    const rotated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+        { $set: update },
+        { new: true }
+    );
+    if (!rotated) return null;
+
+    this.set(update);
+    return refreshToken;
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason = 'logout') {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// Static method to open a new session and return its raw refresh token
+sessionSchema.statics.createForUser = async function (userId, { userAgent = '', ipAddress = '', twoFactorVerified = false } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = await this.create({
+        userId,
+        userAgent,
+        ipAddress,
+        twoFactorVerified,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry()
+    });
+    return { session, refreshToken };
+};
+
+// Static method to open a short-lived, read-only session for an admin viewing the app as a user
+sessionSchema.statics.createImpersonation = function (userId, adminId, { userAgent = '', ipAddress = '', ttlMinutes }) {
+    return this.create({
+        userId,
+        userAgent,
+        ipAddress,
+        impersonatedBy: adminId,
+        // Never handed out, so impersonation sessions cannot be refreshed
+        refreshTokenHash: hashToken(crypto.randomBytes(48).toString('hex')),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+};
+
+// Static method to find the session a refresh token belongs to, current or rotated out
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await this.findOne({ refreshTokenHash: tokenHash })
+        .select('+refreshTokenHash +previousRefreshTokenHash');
+    if (session) {
+        return { session, isReuse: false };
+    }
+
+    const rotated = await this.findOne({ previousRefreshTokenHash: tokenHash })
+        .select('+refreshTokenHash +previousRefreshTokenHash');
+    return { session: rotated, isReuse: !!rotated };
+};
+
+// Static method to list the sessions a user is currently signed in with. Admins viewing
+// the account are left out unless asked for; the user must not see or end those.
+sessionSchema.statics.findActiveForUser = function (userId, { includeImpersonations = false } = {}) {
+    const query = {
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    };
+    if (!includeImpersonations) query.impersonatedBy = null;
+
+    return this.find(query).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every open session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null, { includeImpersonations = true } = {}) {
+    // Also ends any impersonation sessions the user opened as an admin
+    const query = { $or: [{ userId }, { impersonatedBy: userId }], revokedAt: null };
+    if (!includeImpersonations) query.$or[0].impersonatedBy = null;
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,30 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const crypto = require('crypto');
+const totp = require('../services/totp');
+const { ALL_ADMIN_PERMISSIONS } = require('../config/permissions');
+
+const EMAIL_CODE_TTL_MINUTES = 15;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+
+// Failed login handling: after LOGIN_DELAY_AFTER failures each attempt must wait progressively
+// longer; at LOGIN_LOCK_AFTER failures the account locks, for longer on every repeat lockout
+const LOGIN_DELAY_AFTER = 3;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_LOCK_AFTER = 10;
+const LOGIN_LOCK_BASE_MINUTES = 15;
+const LOGIN_LOCK_MAX_MINUTES = 24 * 60;
+
+// Alumni verification has to be renewed with current employment evidence every validity period
+const ALUMNI_VERIFICATION_VALIDITY_DAYS = parseInt(process.env.ALUMNI_VERIFICATION_VALIDITY_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// University domains whose owners must confirm their address before logging in
+const BRACU_EMAIL_DOMAINS = (process.env.BRACU_EMAIL_DOMAINS || 'bracu.ac.bd,g.bracu.ac.bd')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -31,16 +55,17 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    // Alumni-specific verification fields
+    // Admin-only: permissions held by this admin. Admins created before
+    // permissions existed have no list and keep full access.
+    adminPermissions: {
+        type: [{
+            type: String,
+            enum: ALL_ADMIN_PERMISSIONS
+        }],
+        default: undefined
+    },
+    // Alumni verification validity period; the review itself lives on the user's VerificationCase
     alumniVerification: {
-        idCardUploaded: {
-            type: Boolean,
-            default: false
-        },
-        idCardVerified: {
-            type: Boolean,
-            default: false
-        },
         verifiedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -50,59 +75,95 @@ const userSchema = new mongoose.Schema({
             type: Date,
             default: null
         },
-        verificationNotes: {
-            type: String,
-            default: ''
-        }
-    },
-    // Student verification fields
-    studentVerification: {
-        studentIdCardUploaded: {
-            type: Boolean,
-            default: false
-        },
-        studentIdCardVerified: {
-            type: Boolean,
-            default: false
-        },
-        verifiedBy: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
+        // Referral eligibility lapses at this date until the alumni renews their verification
+        expiresAt: {
+            type: Date,
             default: null
         },
-        verifiedAt: {
+        reminderSentAt: {
             type: Date,
             default: null
         },
-        verificationNotes: {
-            type: String,
-            default: ''
+        // Updated employment evidence submitted for renewal
+        renewal: {
+            status: {
+                type: String,
+                enum: ['pending', 'approved', 'rejected', null],
+                default: null
+            },
+            employmentProof: {
+                type: String,
+                default: ''
+            },
+            company: {
+                type: String,
+                default: ''
+            },
+            jobTitle: {
+                type: String,
+                default: ''
+            },
+            submittedAt: {
+                type: Date,
+                default: null
+            },
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            reviewedAt: {
+                type: Date,
+                default: null
+            },
+            reviewNotes: {
+                type: String,
+                default: ''
+            }
         }
     },
-    // Recruiter verification fields
-    recruiterVerification: {
-        companyDocumentUploaded: {
-            type: Boolean,
-            default: false
+    // Student-to-Alumni transition: a graduating student asks to become an alumni on the same account
+    alumniTransition: {
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', null],
+            default: null
         },
-        companyDocumentVerified: {
-            type: Boolean,
-            default: false
+        graduationProof: {
+            type: String,
+            default: ''
         },
-        verifiedBy: {
+        graduationYear: {
+            type: String,
+            default: ''
+        },
+        requestedAt: {
+            type: Date,
+            default: null
+        },
+        reviewedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
             default: null
         },
-        verifiedAt: {
+        reviewedAt: {
             type: Date,
             default: null
         },
-        verificationNotes: {
+        reviewNotes: {
             type: String,
             default: ''
         }
     },
+    // Recruiter automatic verification
+    recruiterVerification: {
+        // Trusted company domain the recruiter's email matched at registration
+        trustedDomain: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CompanyDomain',
+            default: null
+        }
+    },
     profile: {
         photo: {
             type: String,
@@ -224,6 +285,19 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Jobs a student bookmarked
+    savedJobs: [{
+        _id: false,
+        job: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Job',
+            required: true
+        },
+        savedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     spamScore: {
         type: Number,
         default: 0,
@@ -245,6 +319,124 @@ const userSchema = new mongoose.Schema({
     passwordResetExpires: {
         type: Date,
         default: null
+    },
+    // Email ownership confirmation. Left unset on accounts created before confirmation existed.
+    emailVerified: {
+        type: Boolean
+    },
+    emailVerificationCode: {
+        type: String,
+        default: null,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        default: null
+    },
+    emailVerificationAttempts: {
+        type: Number,
+        default: 0
+    },
+    emailVerificationSentAt: {
+        type: Date,
+        default: null
+    },
+    emailVerificationSendCount: {
+        type: Number,
+        default: 0
+    },
+    // Email address change awaiting confirmation codes sent to both the old and the new address
+    pendingEmailChange: {
+        newEmail: {
+            type: String,
+            lowercase: true,
+            trim: true,
+            default: null
+        },
+        oldAddressCode: {
+            type: String,
+            default: null,
+            select: false
+        },
+        newAddressCode: {
+            type: String,
+            default: null,
+            select: false
+        },
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Per-account brute-force protection
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date,
+        default: null
+    },
+    lockUntil: {
+        type: Date,
+        default: null
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    // TOTP two-factor authentication (Admin and Recruiter accounts)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        backupCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        // Last accepted TOTP time step, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Self-service account deletion: the account is anonymized once the grace period ends
+    deletion: {
+        requestedAt: {
+            type: Date,
+            default: null
+        },
+        scheduledFor: {
+            type: Date,
+            default: null
+        }
+    },
+    // Set once the account has been anonymized
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -253,9 +445,11 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
-userSchema.index({ 'alumniVerification.idCardVerified': 1 });
-userSchema.index({ 'studentVerification.studentIdCardVerified': 1 });
-userSchema.index({ 'recruiterVerification.companyDocumentVerified': 1 });
+userSchema.index({ lockUntil: 1 });
+userSchema.index({ 'alumniTransition.status': 1 });
+userSchema.index({ 'alumniVerification.expiresAt': 1 });
+userSchema.index({ 'alumniVerification.renewal.status': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function (next) {
@@ -279,9 +473,6 @@ userSchema.pre('save', function (next) {
     if (!this.alumniVerification) {
         this.alumniVerification = {};
     }
-    if (!this.studentVerification) {
-        this.studentVerification = {};
-    }
     if (!this.recruiterVerification) {
         this.recruiterVerification = {};
     }
@@ -298,6 +489,264 @@ userSchema.methods.correctPassword = async function (candidatePassword) {
     return result;
 };
 
+// Instance method to check if the account uses a university email address
+userSchema.methods.isBracuEmail = function () {
+    const domain = (this.email || '').split('@')[1] || '';
+    return BRACU_EMAIL_DOMAINS.includes(domain);
+};
+
+// Instance method to check if the account must confirm its email before logging in
+// (set at registration for university addresses and trusted company domains)
+userSchema.methods.requiresEmailVerification = function () {
+    return this.emailVerified === false;
+};
+
+// Instance method to generate a one-time email confirmation code (stored hashed)
+userSchema.methods.createEmailVerificationCode = function () {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    // Reset the daily send counter once the last send is more than a day old
+    const sentAt = this.emailVerificationSentAt;
+    if (!sentAt || Date.now() - sentAt.getTime() > 24 * 60 * 60 * 1000) {
+        this.emailVerificationSendCount = 0;
+    }
+
+    this.emailVerificationCode = crypto.createHash('sha256').update(code).digest('hex');
+    this.emailVerificationExpires = Date.now() + EMAIL_CODE_TTL_MINUTES * 60 * 1000;
+    this.emailVerificationAttempts = 0;
+    this.emailVerificationSentAt = new Date();
+    this.emailVerificationSendCount += 1;
+
+    return code;
+};
+
+// Instance method to check an email confirmation code; requires +emailVerificationCode.
+// The attempt is counted in the database before the comparison, so parallel guesses
+// cannot share one count; a failed attempt leaves nothing to save.
+userSchema.methods.checkEmailVerificationCode = async function (code) {
+    if (!this.emailVerificationCode || !this.emailVerificationExpires) {
+        return 'invalid';
+    }
+    if (this.emailVerificationExpires < Date.now()) {
+        return 'expired';
+    }
+
+    const claimed = await this.constructor.updateOne(
+        {
+            _id: this._id,
+            emailVerificationCode: this.emailVerificationCode,
+            emailVerificationAttempts: { $lt: EMAIL_CODE_MAX_ATTEMPTS }
+        },
+        { $inc: { emailVerificationAttempts: 1 } }
+    );
+    if (claimed.matchedCount === 0) {
+        return 'too_many_attempts';
+    }
+
+    const hashedCode = crypto.createHash('sha256').update(String(code)).digest('hex');
+    if (hashedCode !== this.emailVerificationCode) {
+        return 'invalid';
+    }
+
+    this.emailVerified = true;
+    this.emailVerificationCode = undefined;
+    this.emailVerificationExpires = undefined;
+    this.emailVerificationAttempts = 0;
+    return 'valid';
+};
+
+// Instance method to start an email change; returns the codes for the old and new addresses
+userSchema.methods.createEmailChangeRequest = function (newEmail) {
+    const oldAddressCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const newAddressCode = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    this.pendingEmailChange = {
+        newEmail,
+        oldAddressCode: crypto.createHash('sha256').update(oldAddressCode).digest('hex'),
+        newAddressCode: crypto.createHash('sha256').update(newAddressCode).digest('hex'),
+        expiresAt: Date.now() + EMAIL_CODE_TTL_MINUTES * 60 * 1000,
+        attempts: 0
+    };
+
+    return { oldAddressCode, newAddressCode };
+};
+
+// Instance method to check both email change codes; requires the +pendingEmailChange code fields
+userSchema.methods.checkEmailChangeCodes = function (oldAddressCode, newAddressCode) {
+    const pending = this.pendingEmailChange;
+    if (!pending?.newEmail || !pending.oldAddressCode || !pending.newAddressCode) {
+        return 'invalid';
+    }
+    if (pending.expiresAt < Date.now()) {
+        return 'expired';
+    }
+    if (pending.attempts >= EMAIL_CODE_MAX_ATTEMPTS) {
+        return 'too_many_attempts';
+    }
+
+    const hash = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+    if (hash(oldAddressCode) !== pending.oldAddressCode || hash(newAddressCode) !== pending.newAddressCode) {
+        pending.attempts += 1;
+        return 'invalid';
+    }
+
+    return 'valid';
+};
+
+// Instance method to check if policy makes two-factor authentication mandatory for this account
+userSchema.methods.mustUseTwoFactor = function () {
+    return this.role === 'Admin' && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
+// Instance method to check whether an admin holds a permission
+userSchema.methods.hasPermission = function (permission) {
+    if (this.role !== 'Admin') return false;
+    if (!this.adminPermissions) return true;
+    return this.adminPermissions.includes(permission);
+};
+
+// Instance method to check whether an admin may block, sign out or delete this account.
+// Other admins can only be managed with manage:admins and every permission they hold.
+userSchema.methods.canBeManagedBy = function (actor) {
+    if (this._id.equals(actor._id)) return false;
+    if (this.role !== 'Admin') return true;
+    return actor.hasPermission('manage:admins')
+        && this.getPermissions().every(permission => actor.hasPermission(permission));
+};
+
+// Instance method to list the permissions an admin effectively holds
+userSchema.methods.getPermissions = function () {
+    if (this.role !== 'Admin') return [];
+    return this.adminPermissions ? [...this.adminPermissions] : [...ALL_ADMIN_PERMISSIONS];
+};
+
+// Instance method to generate one-time backup codes (stored hashed, returned once)
+userSchema.methods.generateBackupCodes = function (count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    this.twoFactor.backupCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+    return codes;
+};
+
+// Instance method to check a TOTP or backup code against the enrolled secret.
+// Requires +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep; caller saves the user.
+// Returns 'totp', 'backup' or null.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+    if (!this.twoFactor?.enabled || !this.twoFactor.secret) return null;
+
+    const step = totp.verifyCode(this.twoFactor.secret, code);
+    if (step !== null) {
+        if (this.twoFactor.lastUsedStep !== null && step <= this.twoFactor.lastUsedStep) {
+            return null;
+        }
+        this.twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    const hashedCode = crypto.createHash('sha256').update(String(code || '').trim().toLowerCase()).digest('hex');
+    const index = this.twoFactor.backupCodes.indexOf(hashedCode);
+    if (index !== -1) {
+        this.twoFactor.backupCodes.splice(index, 1);
+        return 'backup';
+    }
+
+    return null;
+};
+
+// Instance method to get how many seconds the account must wait before another login attempt
+userSchema.methods.loginRetryAfterSeconds = function () {
+    const now = Date.now();
+
+    if (this.lockUntil && this.lockUntil.getTime() > now) {
+        return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+    }
+
+    if (this.failedLoginAttempts >= LOGIN_DELAY_AFTER && this.lastFailedLoginAt) {
+        const delaySeconds = Math.min(2 ** (this.failedLoginAttempts - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+        const waitMs = this.lastFailedLoginAt.getTime() + delaySeconds * 1000 - now;
+        if (waitMs > 0) return Math.ceil(waitMs / 1000);
+    }
+
+    return 0;
+};
+
+// Instance method to check if the account is locked out
+userSchema.methods.isLoginLocked = function () {
+    return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Instance method to record a failed login atomically; locks the account at the threshold.
+// Returns true when this failure caused a lockout.
+userSchema.methods.registerFailedLogin = async function () {
+    const User = this.constructor;
+
+    const updated = await User.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true }
+    );
+    if (!updated) return false;
+
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+    if (updated.failedLoginAttempts < LOGIN_LOCK_AFTER) {
+        return false;
+    }
+
+    const lockMinutes = Math.min(LOGIN_LOCK_BASE_MINUTES * 2 ** updated.lockCount, LOGIN_LOCK_MAX_MINUTES);
+    const locked = await User.findOneAndUpdate(
+        { _id: this._id, failedLoginAttempts: { $gte: LOGIN_LOCK_AFTER } },
+        {
+            $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) },
+            $inc: { lockCount: 1 }
+        },
+        { new: true }
+    );
+    if (!locked) return false;
+
+    this.failedLoginAttempts = locked.failedLoginAttempts;
+    this.lockUntil = locked.lockUntil;
+    this.lockCount = locked.lockCount;
+    return true;
+};
+
+// Instance method to clear failed login tracking after a successful login or admin unlock
+userSchema.methods.resetLoginFailures = function () {
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = null;
+    this.lockUntil = null;
+    this.lockCount = 0;
+};
+
+// Instance method to (re)start the alumni verification validity period
+userSchema.methods.renewAlumniVerification = function (adminId) {
+    const now = new Date();
+    this.alumniVerification.verifiedBy = adminId;
+    this.alumniVerification.verifiedAt = now;
+    this.alumniVerification.expiresAt = new Date(now.getTime() + ALUMNI_VERIFICATION_VALIDITY_DAYS * DAY_MS);
+    this.alumniVerification.reminderSentAt = null;
+};
+
+// Instance method to get when alumni verification lapses; null for accounts verified
+// before expiry was tracked until the migration gives them a date
+userSchema.methods.alumniVerificationExpiresAt = function () {
+    if (this.role !== 'Alumni' || !this.isVerified) return null;
+    return this.alumniVerification?.expiresAt || null;
+};
+
+// Instance method to check if an alumni is currently eligible to give referrals.
+// Verified alumni without an expiry date yet keep their eligibility.
+userSchema.methods.hasCurrentAlumniVerification = function () {
+    if (this.role !== 'Alumni' || !this.isVerified) return false;
+
+    const expiresAt = this.alumniVerificationExpiresAt();
+    return !expiresAt || expiresAt > new Date();
+};
+
 // Instance method to check if user can perform actions
 userSchema.methods.canPerformAction = function () {
     return this.isVerified && !this.isBlocked;
@@ -319,7 +768,16 @@ userSchema.virtual('profileComplete').get(function () {
     return true;
 });
 
-// Ensure virtual fields are serialized
-userSchema.set('toJSON', { virtuals: true });
+userSchema.statics.ALUMNI_VERIFICATION_VALIDITY_DAYS = ALUMNI_VERIFICATION_VALIDITY_DAYS;
+
+// Ensure virtual fields are serialized. The ID card filename stays out of API responses;
+// users see their documents on their verification case.
+userSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        if (ret.profile) delete ret.profile.bracuIdCard;
+        return ret;
+    }
+});
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const CASE_STATUSES = ['pending', 'info_requested', 'approved', 'rejected'];
+const DOCUMENT_KINDS = ['bracuIdCard', 'companyDocument'];
+
+// One verification case per account: every document the user submitted, the
+// conversation with reviewers and each status change are kept on it.
+const verificationCaseSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    role: {
+        type: String,
+        enum: ['Student', 'Alumni', 'Recruiter'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: CASE_STATUSES,
+        default: 'pending'
+    },
+    documents: [{
+        kind: {
+            type: String,
+            enum: DOCUMENT_KINDS,
+            required: true
+        },
+        // Folder under uploads/ the file was stored in
+        folder: {
+            type: String,
+            default: 'idcards'
+        },
+        filename: {
+            type: String,
+            required: true
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    comments: [{
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        fromReviewer: {
+            type: Boolean,
+            default: false
+        },
+        body: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: [1000, 'Comment cannot exceed 1000 characters']
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Every status change; changedBy is null for automatic decisions
+    history: [{
+        _id: false,
+        status: {
+            type: String,
+            enum: CASE_STATUSES
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        note: {
+            type: String,
+            default: ''
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Last time the user (re)submitted the case for review
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+verificationCaseSchema.index({ status: 1, role: 1, submittedAt: 1 });
+
+// Instance method to record a status change
+verificationCaseSchema.methods.setStatus = function (status, changedBy = null, note = '') {
+    this.status = status;
+    this.history.push({ status, changedBy, note, at: new Date() });
+};
+
+// Instance method to record a reviewer's decision
+verificationCaseSchema.methods.review = function (status, reviewerId, note = '') {
+    this.setStatus(status, reviewerId, note);
+    this.reviewedBy = reviewerId;
+    this.reviewedAt = new Date();
+};
+
+// Instance method to attach a newly uploaded document
+verificationCaseSchema.methods.addDocument = function (kind, filename, folder = 'idcards') {
+    this.documents.push({ kind, folder, filename, uploadedAt: new Date() });
+};
+
+// Instance method to add a comment to the case conversation
+verificationCaseSchema.methods.addComment = function (authorId, body, fromReviewer = false) {
+    this.comments.push({ author: authorId, body, fromReviewer, createdAt: new Date() });
+};
+
+// Instance method to send the case back to the review queue after the user responded
+verificationCaseSchema.methods.resubmit = function (userId, note = 'Resubmitted by user') {
+    this.submittedAt = new Date();
+    if (this.status !== 'pending') {
+        this.setStatus('pending', userId, note);
+    }
+};
+
+// Static method to get a user's case, opening a new one if they have none yet
+verificationCaseSchema.statics.openForUser = async function (user) {
+    const existing = await this.findOne({ user: user._id });
+    if (existing) return existing;
+
+    const verificationCase = new this({ user: user._id, role: user.role });
+    verificationCase.setStatus('pending', user._id, 'Case opened');
+    return verificationCase;
+};
+
+verificationCaseSchema.statics.STATUSES = CASE_STATUSES;
+
+module.exports = mongoose.model('VerificationCase', verificationCaseSchema);
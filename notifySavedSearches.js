@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { sendSavedSearchDigests } = require('./services/savedSearches');
+
+// Send the daily and weekly digests of saved search matches that are due.
+// Meant to run on a schedule (e.g. an hourly cron job):
+//   npm run notify:saved-searches
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for saved search digests');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        const sent = await sendSavedSearchDigests();
+        console.log(`Sent ${sent} saved search digest(s)`);
+    } catch (error) {
+        console.error('Saved search digests failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { processScheduledDeletions } = require('./services/accountData');
+
+// Anonymize accounts whose self-service deletion grace period has ended.
+// Meant to run on a schedule (e.g. a daily cron job):
+//   npm run purge:accounts
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for account purge');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        const processed = await processScheduledDeletions();
+        console.log(`Deleted ${processed} account(s)`);
+    } catch (error) {
+        console.error('Account purge failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { sendRenewalReminders } = require('./services/alumniVerification');
+
+// Remind alumni whose verification is about to expire (or has) to renew it.
+// Meant to run on a schedule (e.g. a daily cron job):
+//   npm run remind:alumni
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/campus_recruitment', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('MongoDB Connected for alumni verification reminders');
+    } catch (error) {
+        console.error('Database connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Main function
+const main = async () => {
+    await connectDB();
+    try {
+        const reminded = await sendRenewalReminders();
+        console.log(`Reminded ${reminded} alumni`);
+    } catch (error) {
+        console.error('Alumni verification reminders failed:', error);
+        process.exitCode = 1;
+    }
+    await mongoose.connection.close();
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+    main();
+}
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const AdminController = require('../controllers/AdminController');
 const { jwtVerify } = require('../middleware/auth');
-const { roleProtect } = require('../middleware/roleProtect');
+const { roleProtect, requirePermission, requireAnyPermission } = require('../middleware/roleProtect');
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
@@ -11,82 +11,192 @@ router.get('/dashboard', jwtVerify, roleProtect('Admin'), AdminController.getDas
 
 // @route   GET /api/admin/users
 // @desc    Get all users with filters (admin only)
-// @access  Private (Admin)
-router.get('/users', jwtVerify, roleProtect('Admin'), AdminController.getAllUsers);
-
-// @route   GET /api/admin/alumni-verifications
-// @desc    Get pending alumni verifications (admin only)
-// @access  Private (Admin)
-router.get('/alumni-verifications', jwtVerify, roleProtect('Admin'), AdminController.getPendingAlumniVerifications);
-
-// @route   PATCH /api/admin/verify-alumni/:alumniId
-// @desc    Verify or reject alumni account (admin only)
-// @access  Private (Admin)
-router.patch('/verify-alumni/:alumniId', jwtVerify, roleProtect('Admin'), AdminController.verifyAlumniAccount);
-
-// @route   GET /api/admin/student-verifications
-// @desc    Get pending student verifications (admin only)
-// @access  Private (Admin)
-router.get('/student-verifications', jwtVerify, roleProtect('Admin'), AdminController.getPendingStudentVerifications);
-
-// @route   PATCH /api/admin/verify-student/:studentId
-// @desc    Verify or reject student account (admin only)
-// @access  Private (Admin)
-router.patch('/verify-student/:studentId', jwtVerify, roleProtect('Admin'), AdminController.verifyStudentAccount);
-
-// @route   GET /api/admin/recruiter-verifications
-// @desc    Get pending recruiter verifications (admin only)
-// @access  Private (Admin)
-router.get('/recruiter-verifications', jwtVerify, roleProtect('Admin'), AdminController.getPendingRecruiterVerifications);
-
-// @route   PATCH /api/admin/verify-recruiter/:recruiterId
-// @desc    Verify or reject recruiter account (admin only)
-// @access  Private (Admin)
-router.patch('/verify-recruiter/:recruiterId', jwtVerify, roleProtect('Admin'), AdminController.verifyRecruiterAccount);
+// @access  Private (Admin, manage:users)
+router.get('/users', jwtVerify, requirePermission('manage:users'), AdminController.getAllUsers);
+
+// @route   GET /api/admin/verification-cases
+// @desc    Get the verification case queue, filtered by ?role= and ?status= (admin only)
+// @access  Private (Admin, any verify permission)
+router.get('/verification-cases', jwtVerify, requireAnyPermission('verify:students', 'verify:alumni', 'verify:recruiters'), AdminController.getVerificationCases);
+
+// @route   GET /api/admin/verification-cases/:id
+// @desc    Get a verification case with its documents, comments and history (admin only)
+// @access  Private (Admin, verify permission for the case's role)
+router.get('/verification-cases/:id', jwtVerify, requireAnyPermission('verify:students', 'verify:alumni', 'verify:recruiters'), AdminController.getVerificationCase);
+
+// @route   PATCH /api/admin/verification-cases/:id
+// @desc    Approve, reject or request more information on a verification case (admin only)
+// @access  Private (Admin, verify permission for the case's role)
+router.patch('/verification-cases/:id', jwtVerify, requireAnyPermission('verify:students', 'verify:alumni', 'verify:recruiters'), AdminController.reviewVerificationCase);
+
+// @route   POST /api/admin/verification-cases/:id/comments
+// @desc    Comment on a verification case (admin only)
+// @access  Private (Admin, verify permission for the case's role)
+router.post('/verification-cases/:id/comments', jwtVerify, requireAnyPermission('verify:students', 'verify:alumni', 'verify:recruiters'), AdminController.addVerificationCaseComment);
+
+// @route   GET /api/admin/alumni-transitions
+// @desc    Get pending student-to-alumni transition requests (admin only)
+// @access  Private (Admin, verify:alumni)
+router.get('/alumni-transitions', jwtVerify, requirePermission('verify:alumni'), AdminController.getPendingAlumniTransitions);
+
+// @route   PATCH /api/admin/alumni-transitions/:userId
+// @desc    Approve or reject a student-to-alumni transition (admin only)
+// @access  Private (Admin, verify:alumni)
+router.patch('/alumni-transitions/:userId', jwtVerify, requirePermission('verify:alumni'), AdminController.reviewAlumniTransition);
+
+// @route   GET /api/admin/alumni-renewals
+// @desc    Get pending alumni verification renewals (admin only)
+// @access  Private (Admin, verify:alumni)
+router.get('/alumni-renewals', jwtVerify, requirePermission('verify:alumni'), AdminController.getPendingAlumniRenewals);
+
+// @route   PATCH /api/admin/alumni-renewals/:userId
+// @desc    Approve or reject an alumni verification renewal (admin only)
+// @access  Private (Admin, verify:alumni)
+router.patch('/alumni-renewals/:userId', jwtVerify, requirePermission('verify:alumni'), AdminController.reviewAlumniRenewal);
+
+// @route   GET /api/admin/permissions
+// @desc    Get the admin permission catalog and your own permissions (admin only)
+// @access  Private (Admin)
+router.get('/permissions', jwtVerify, roleProtect('Admin'), AdminController.getPermissionCatalog);
+
+// @route   GET /api/admin/admins
+// @desc    Get admin accounts with their permissions (admin only)
+// @access  Private (Admin, manage:admins)
+router.get('/admins', jwtVerify, requirePermission('manage:admins'), AdminController.getAdmins);
+
+// @route   PUT /api/admin/admins/:id/permissions
+// @desc    Replace an admin's permissions (admin only)
+// @access  Private (Admin, manage:admins)
+router.put('/admins/:id/permissions', jwtVerify, requirePermission('manage:admins'), AdminController.updateAdminPermissions);
+
+// @route   GET /api/admin/audit-log
+// @desc    Get audit log of admin actions with filters (admin only)
+// @access  Private (Admin, view:audit-log)
+router.get('/audit-log', jwtVerify, requirePermission('view:audit-log'), AdminController.getAuditLog);
+
+// @route   GET /api/admin/audit-log/export
+// @desc    Export filtered audit log entries as CSV (admin only)
+// @access  Private (Admin, view:audit-log)
+router.get('/audit-log/export', jwtVerify, requirePermission('view:audit-log'), AdminController.exportAuditLog);
+
+// @route   GET /api/admin/invitations
+// @desc    Get admin invitations (admin only)
+// @access  Private (Admin, manage:admins)
+router.get('/invitations', jwtVerify, requirePermission('manage:admins'), AdminController.getAdminInvitations);
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a new admin by email (admin only)
+// @access  Private (Admin, manage:admins)
+router.post('/invitations', jwtVerify, requirePermission('manage:admins'), AdminController.createAdminInvitation);
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending admin invitation (admin only)
+// @access  Private (Admin, manage:admins)
+router.delete('/invitations/:id', jwtVerify, requirePermission('manage:admins'), AdminController.revokeAdminInvitation);
+
+// @route   GET /api/admin/company-domains
+// @desc    Get trusted recruiter company domains (admin only)
+// @access  Private (Admin, manage:domains)
+router.get('/company-domains', jwtVerify, requirePermission('manage:domains'), AdminController.getCompanyDomains);
+
+// @route   POST /api/admin/company-domains
+// @desc    Add a trusted recruiter company domain (admin only)
+// @access  Private (Admin, manage:domains)
+router.post('/company-domains', jwtVerify, requirePermission('manage:domains'), AdminController.createCompanyDomain);
+
+// @route   PATCH /api/admin/company-domains/:id
+// @desc    Update a trusted recruiter company domain (admin only)
+// @access  Private (Admin, manage:domains)
+router.patch('/company-domains/:id', jwtVerify, requirePermission('manage:domains'), AdminController.updateCompanyDomain);
+
+// @route   DELETE /api/admin/company-domains/:id
+// @desc    Remove a trusted recruiter company domain (admin only)
+// @access  Private (Admin, manage:domains)
+router.delete('/company-domains/:id', jwtVerify, requirePermission('manage:domains'), AdminController.deleteCompanyDomain);
 
 // @route   GET /api/admin/spam-monitor
 // @desc    Get users with high spam scores (admin only)
-// @access  Private (Admin)
-router.get('/spam-monitor', jwtVerify, roleProtect('Admin'), AdminController.getSpamMonitor);
+// @access  Private (Admin, moderate:spam)
+router.get('/spam-monitor', jwtVerify, requirePermission('moderate:spam'), AdminController.getSpamMonitor);
 
 // @route   GET /api/admin/users/spam-detection
 // @desc    Get users with enhanced spam detection (admin only)
-// @access  Private (Admin)
-router.get('/users/spam-detection', jwtVerify, roleProtect('Admin'), AdminController.getUsersWithSpamDetection);
+// @access  Private (Admin, moderate:spam)
+router.get('/users/spam-detection', jwtVerify, requirePermission('moderate:spam'), AdminController.getUsersWithSpamDetection);
 
 // @route   PATCH /api/admin/block-user/:id
 // @desc    Block/unblock user (admin only)
-// @access  Private (Admin)
-router.patch('/block-user/:id', jwtVerify, roleProtect('Admin'), AdminController.toggleUserBlock);
+// @access  Private (Admin, manage:users)
+router.patch('/block-user/:id', jwtVerify, requirePermission('manage:users'), AdminController.toggleUserBlock);
+
+// @route   GET /api/admin/locked-accounts
+// @desc    Get accounts locked after failed logins (admin only)
+// @access  Private (Admin, manage:users)
+router.get('/locked-accounts', jwtVerify, requirePermission('manage:users'), AdminController.getLockedAccounts);
+
+// @route   PATCH /api/admin/unlock-user/:id
+// @desc    Clear a user's login lockout (admin only)
+// @access  Private (Admin, manage:users)
+router.patch('/unlock-user/:id', jwtVerify, requirePermission('manage:users'), AdminController.unlockUser);
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start a read-only session viewing the app as a user (admin only)
+// @access  Private (Admin, impersonate:users)
+router.post('/users/:id/impersonate', jwtVerify, requirePermission('impersonate:users'), AdminController.startImpersonation);
+
+// @route   GET /api/admin/impersonations
+// @desc    Get active impersonation sessions (admin only)
+// @access  Private (Admin, impersonate:users)
+router.get('/impersonations', jwtVerify, requirePermission('impersonate:users'), AdminController.getActiveImpersonations);
+
+// @route   DELETE /api/admin/impersonations/:sessionId
+// @desc    End an impersonation session (admin only)
+// @access  Private (Admin, impersonate:users)
+router.delete('/impersonations/:sessionId', jwtVerify, requirePermission('impersonate:users'), AdminController.stopImpersonation);
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Get a user's active sessions (admin only)
+// @access  Private (Admin, manage:users)
+router.get('/users/:id/sessions', jwtVerify, requirePermission('manage:users'), AdminController.getUserSessions);
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Sign out all sessions of a user (admin only)
+// @access  Private (Admin, manage:users)
+router.delete('/users/:id/sessions', jwtVerify, requirePermission('manage:users'), AdminController.revokeUserSessions);
+
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @desc    Sign out a single session of a user (admin only)
+// @access  Private (Admin, manage:users)
+router.delete('/users/:id/sessions/:sessionId', jwtVerify, requirePermission('manage:users'), AdminController.revokeUserSessions);
 
 // @route   PATCH /api/admin/update-spam-score/:id
 // @desc    Update user spam score (admin only)
-// @access  Private (Admin)
-router.patch('/update-spam-score/:id', jwtVerify, roleProtect('Admin'), AdminController.updateSpamScore);
+// @access  Private (Admin, moderate:spam)
+router.patch('/update-spam-score/:id', jwtVerify, requirePermission('moderate:spam'), AdminController.updateSpamScore);
 
 // @route   GET /api/admin/jobs
 // @desc    Get all jobs with filters (admin only)
-// @access  Private (Admin)
-router.get('/jobs', jwtVerify, roleProtect('Admin'), AdminController.getAllJobs);
+// @access  Private (Admin, manage:jobs)
+router.get('/jobs', jwtVerify, requirePermission('manage:jobs'), AdminController.getAllJobs);
 
 // @route   PATCH /api/admin/toggle-job/:id
 // @desc    Toggle job active status (admin only)
-// @access  Private (Admin)
-router.patch('/toggle-job/:id', jwtVerify, roleProtect('Admin'), AdminController.toggleJobStatus);
+// @access  Private (Admin, manage:jobs)
+router.patch('/toggle-job/:id', jwtVerify, requirePermission('manage:jobs'), AdminController.toggleJobStatus);
 
 // @route   GET /api/admin/referrals
 // @desc    Get all referrals with filters (admin only)
-// @access  Private (Admin)
-router.get('/referrals', jwtVerify, roleProtect('Admin'), AdminController.getAllReferrals);
+// @access  Private (Admin, manage:referrals)
+router.get('/referrals', jwtVerify, requirePermission('manage:referrals'), AdminController.getAllReferrals);
 
 // @route   DELETE /api/admin/delete-job/:id
 // @desc    Delete job (admin only)
-// @access  Private (Admin)
-router.delete('/delete-job/:id', jwtVerify, roleProtect('Admin'), AdminController.deleteJob);
+// @access  Private (Admin, manage:jobs)
+router.delete('/delete-job/:id', jwtVerify, requirePermission('manage:jobs'), AdminController.deleteJob);
 
 // @route   DELETE /api/admin/delete-referral/:id
 // @desc    Delete referral (admin only)
-// @access  Private (Admin)
-router.delete('/delete-referral/:id', jwtVerify, roleProtect('Admin'), AdminController.deleteReferral);
+// @access  Private (Admin, manage:referrals)
+router.delete('/delete-referral/:id', jwtVerify, requirePermission('manage:referrals'), AdminController.deleteReferral);
 
 module.exports = router;
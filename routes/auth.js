@@ -16,15 +16,34 @@ router.get('/health', (req, res) => {
 
 router.post('/register', uploadIdCard, handleUploadError, AuthController.register);
 router.post('/login', AuthController.login);
+router.post('/2fa/verify-login', AuthController.verifyTwoFactorLogin);
 router.post('/forgot-password', AuthController.forgotPassword);
 router.post('/reset-password', AuthController.resetPassword);
-router.get('/verify-email', AuthController.verifyEmail); // Email verification endpoint
+router.post('/refresh', AuthController.refreshToken);
+router.get('/verify-email', AuthController.verifyEmail); // Email availability check
+router.post('/confirm-email', AuthController.confirmEmail);
+router.post('/resend-email-verification', AuthController.resendEmailVerification);
 
-// Temporary admin creation endpoint (REMOVE IN PRODUCTION)
-router.post('/create-admin', AuthController.createAdmin);
+// Admin invitations (the signed token in the invitation link authorizes these)
+router.get('/admin-invitation', AuthController.getAdminInvitation);
+router.post('/admin-invitation/accept', AuthController.acceptAdminInvitation);
 
 // Protected routes
 router.get('/me', jwtVerify, AuthController.getCurrentUser);
 router.post('/logout', jwtVerify, AuthController.logout);
+router.get('/sessions', jwtVerify, AuthController.getSessions);
+router.delete('/sessions', jwtVerify, AuthController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', jwtVerify, AuthController.revokeSession);
+
+// Email address change (codes sent to the old and the new address)
+router.post('/change-email', jwtVerify, AuthController.requestEmailChange);
+router.post('/change-email/confirm', jwtVerify, AuthController.confirmEmailChange);
+router.delete('/change-email', jwtVerify, AuthController.cancelEmailChange);
+
+// Two-factor authentication (Admin and Recruiter)
+router.post('/2fa/setup', jwtVerify, AuthController.setupTwoFactor);
+router.post('/2fa/enable', jwtVerify, AuthController.enableTwoFactor);
+router.post('/2fa/disable', jwtVerify, AuthController.disableTwoFactor);
+router.post('/2fa/backup-codes', jwtVerify, AuthController.regenerateBackupCodes);
 
 module.exports = router;
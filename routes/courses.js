@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const CourseController = require('../controllers/CourseController');
 const { jwtVerify } = require('../middleware/auth');
-const { roleProtect } = require('../middleware/roleProtect');
+const { roleProtect, requirePermission } = require('../middleware/roleProtect');
 
 router.get('/', jwtVerify, CourseController.listCourses);
 router.get('/:id', jwtVerify, CourseController.getCourseDetails);
@@ -10,7 +10,7 @@ router.get('/:courseId/progress', jwtVerify, roleProtect('Student'), CourseContr
 router.post('/enroll', jwtVerify, roleProtect('Student'), CourseController.enrollInCourse);
 router.post('/complete-checkpoint', jwtVerify, roleProtect('Student'), CourseController.completeCheckpoint);
 router.post('/', jwtVerify, roleProtect('Recruiter'), CourseController.createCourse);
-router.delete('/:id', jwtVerify, roleProtect('Admin'), CourseController.deleteCourse);
+router.delete('/:id', jwtVerify, requirePermission('manage:courses'), CourseController.deleteCourse);
 
 module.exports = router;
 
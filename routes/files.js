@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const FileController = require('../controllers/FileController');
+const { jwtVerify } = require('../middleware/auth');
+
+// Signed links carry their own authorization
+router.get('/signed/:folder/:filename', FileController.downloadSignedFile);
+
+router.get('/:folder/:filename/url', jwtVerify, FileController.getSignedUrl);
+router.get('/:folder/:filename', jwtVerify, FileController.downloadFile);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const JobController = require('../controllers/JobController');
+const SavedJobController = require('../controllers/SavedJobController');
 const { jwtVerify } = require('../middleware/auth');
-const { roleProtect } = require('../middleware/roleProtect');
+const { roleProtect, requirePermission } = require('../middleware/roleProtect');
 const { uploadResume, uploadCoverLetter, handleUploadError } = require('../middleware/fileUpload');
 const { spamDetector, contentValidator } = require('../middleware/spamDetector');
 
@@ -12,21 +13,33 @@ router.get('/', JobController.getJobs);
 // Protected routes - specific routes first
 router.get('/my-postings', jwtVerify, roleProtect('Recruiter'), JobController.getMyPostings);
 router.get('/my-applications', jwtVerify, roleProtect('Student'), JobController.getMyApplications);
+router.get('/recommended', jwtVerify, roleProtect('Student'), JobController.getRecommendedJobs);
 router.get('/recruiter/summary', jwtVerify, roleProtect('Recruiter'), JobController.getRecruiterStats);
 
+// Saved jobs and saved searches
+router.get('/saved', jwtVerify, roleProtect('Student'), SavedJobController.getSavedJobs);
+router.get('/saved-searches', jwtVerify, roleProtect('Student'), SavedJobController.getSavedSearches);
+router.post('/saved-searches', jwtVerify, roleProtect('Student'), SavedJobController.createSavedSearch);
+router.patch('/saved-searches/:id', jwtVerify, roleProtect('Student'), SavedJobController.updateSavedSearch);
+router.delete('/saved-searches/:id', jwtVerify, roleProtect('Student'), SavedJobController.deleteSavedSearch);
+
 // Application status route
 router.get('/:id/my-application', jwtVerify, roleProtect('Student'), JobController.getMyApplicationStatus);
 
 // Parameterized routes after specific routes
 router.get('/:id', JobController.getJobById);
 router.post('/', jwtVerify, roleProtect('Recruiter'), spamDetector, contentValidator, JobController.createJob);
+router.post('/:id/save', jwtVerify, roleProtect('Student'), SavedJobController.saveJob);
+router.delete('/:id/save', jwtVerify, roleProtect('Student'), SavedJobController.unsaveJob);
 router.post('/:id/apply', jwtVerify, roleProtect('Student'), uploadResume, uploadCoverLetter, handleUploadError, JobController.applyForJob);
+router.get('/:id/applications', jwtVerify, roleProtect('Recruiter'), JobController.getJobApplications);
+router.put('/:id/pipeline', jwtVerify, roleProtect('Recruiter'), JobController.updateJobPipeline);
 router.patch('/:jobId/applicant-status/:applicantId', jwtVerify, roleProtect('Recruiter'), JobController.updateApplicantStatus);
 router.put('/:id', jwtVerify, roleProtect('Recruiter'), spamDetector, contentValidator, JobController.updateJob);
 router.delete('/:id', jwtVerify, roleProtect('Recruiter'), JobController.deleteJob);
 
 // Admin routes
-router.patch('/:id/toggle', jwtVerify, roleProtect('Admin'), JobController.toggleJobStatus);
-router.put('/:id/admin', jwtVerify, roleProtect('Admin'), JobController.updateJobAdmin);
+router.patch('/:id/toggle', jwtVerify, requirePermission('manage:jobs'), JobController.toggleJobStatus);
+router.put('/:id/admin', jwtVerify, requirePermission('manage:jobs'), JobController.updateJobAdmin);
 
 module.exports = router;
@@ -2,8 +2,8 @@ const express = require('express');
 const router = express.Router();
 const UserController = require('../controllers/UserController');
 const { jwtVerify } = require('../middleware/auth');
-const { roleProtect } = require('../middleware/roleProtect');
-const { uploadProfilePhoto, uploadIdCard, handleUploadError } = require('../middleware/fileUpload');
+const { roleProtect, requirePermission } = require('../middleware/roleProtect');
+const { uploadProfilePhoto, uploadIdCard, uploadGraduationProof, uploadEmploymentProof, handleUploadError } = require('../middleware/fileUpload');
 
 // Public routes (if any)
 // None for now
@@ -14,6 +14,16 @@ router.put('/profile/:id', jwtVerify, uploadProfilePhoto, handleUploadError, Use
 router.post('/:id/upload-verification', jwtVerify, uploadIdCard, handleUploadError, UserController.uploadVerificationDocuments);
 router.get('/search', jwtVerify, UserController.searchUsers);
 
+// Personal data export and self-service account deletion
+router.get('/me/export', jwtVerify, UserController.exportMyData);
+router.get('/me/deletion', jwtVerify, UserController.getAccountDeletion);
+router.post('/me/deletion', jwtVerify, UserController.requestAccountDeletion);
+router.delete('/me/deletion', jwtVerify, UserController.cancelAccountDeletion);
+
+// Account verification case
+router.get('/me/verification', jwtVerify, roleProtect('Student', 'Alumni', 'Recruiter'), UserController.getMyVerification);
+router.post('/me/verification/resubmit', jwtVerify, roleProtect('Student', 'Alumni', 'Recruiter'), uploadIdCard, handleUploadError, UserController.resubmitVerification);
+
 // Experience management routes
 router.post('/:id/experience', jwtVerify, UserController.addExperience);
 router.put('/:id/experience/:experienceId', jwtVerify, UserController.updateExperience);
@@ -26,14 +36,18 @@ router.delete('/:id/awards/:awardId', jwtVerify, UserController.deleteAward);
 
 // Student routes
 router.get('/student/application-history', jwtVerify, roleProtect('Student'), UserController.getStudentApplicationHistory);
+router.get('/me/alumni-transition', jwtVerify, roleProtect('Student', 'Alumni'), UserController.getAlumniTransition);
+router.post('/me/alumni-transition', jwtVerify, roleProtect('Student'), uploadGraduationProof, handleUploadError, UserController.requestAlumniTransition);
+
+// Alumni routes
+router.get('/me/alumni-verification', jwtVerify, roleProtect('Alumni'), UserController.getAlumniVerification);
+router.post('/me/alumni-verification/renewal', jwtVerify, roleProtect('Alumni'), uploadEmploymentProof, handleUploadError, UserController.renewAlumniVerification);
 
 // Admin routes
-router.get('/verify-requests', jwtVerify, roleProtect('Admin'), UserController.getVerificationRequests);
-router.post('/verify/:id', jwtVerify, roleProtect('Admin'), UserController.verifyUser);
 router.get('/alumni', jwtVerify, UserController.getUsersByRole);
 router.get('/students', jwtVerify, UserController.getUsersByRole);
 router.get('/recruiters', jwtVerify, UserController.getUsersByRole);
-router.patch('/block/:id', jwtVerify, roleProtect('Admin'), UserController.toggleUserBlock);
-router.delete('/:id', jwtVerify, roleProtect('Admin'), UserController.deleteUser);
+router.patch('/block/:id', jwtVerify, requirePermission('manage:users'), UserController.toggleUserBlock);
+router.delete('/:id', jwtVerify, requirePermission('manage:users'), UserController.deleteUser);
 
 module.exports = router;
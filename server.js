@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -24,6 +23,8 @@ const resumeRoutes = require('./routes/resume');
 const courseRoutes = require('./routes/courses');
 const connectionRoutes = require('./routes/connections');
 const jobFAQRoutes = require('./routes/job-faq');
+const fileRoutes = require('./routes/files');
+const FileController = require('./controllers/FileController');
 
 // Security middleware
 app.use(helmet());
@@ -79,8 +80,14 @@ const strictLimiter = rateLimit({
 // Apply general rate limiter to all API routes
 app.use('/api/', limiter);
 
-// Apply stricter rate limiter to sensitive routes
-app.use('/api/auth', strictLimiter);
+// Apply stricter rate limiter to sensitive routes (token refresh runs every few minutes per client)
+app.use('/api/auth', (req, res, next) => {
+    if (req.path === '/refresh') {
+        next();
+    } else {
+        strictLimiter(req, res, next);
+    }
+});
 app.use('/api/jobs', (req, res, next) => {
     if (req.method === 'POST' || req.method === 'PUT' || req.method === 'DELETE') {
         strictLimiter(req, res, next);
@@ -100,15 +107,9 @@ app.use('/api/referrals', (req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// Static files for specific upload directories
-app.use('/upload/idcard', express.static(path.join(__dirname, 'uploads', 'idcards')));
-app.use('/upload/profile', express.static(path.join(__dirname, 'uploads', 'profiles')));
-app.use('/upload/resume', express.static(path.join(__dirname, 'uploads', 'resumes')));
-app.use('/upload/coverletter', express.static(path.join(__dirname, 'uploads', 'coverletters')));
-app.use('/upload/misc', express.static(path.join(__dirname, 'uploads', 'misc')));
+// Public uploads (profile photos), read from the storage backend. ID cards, resumes and
+// other private uploads are only served through /api/files with access checks.
+app.get(['/uploads/profiles/:filename', '/upload/profile/:filename'], FileController.downloadProfilePhoto);
 
 // Global variable to cache the database connection
 let cachedDb = null;
@@ -162,6 +163,7 @@ app.use('/api/resume', resumeRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/connections', connectionRoutes);
 app.use('/api/job-faq', jobFAQRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -172,38 +174,6 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Test file serving endpoint
-app.get('/api/test-files', (req, res) => {
-    const fs = require('fs');
-    const path = require('path');
-
-    const resumeDir = path.join(__dirname, 'uploads', 'resumes');
-    const coverLetterDir = path.join(__dirname, 'uploads', 'coverletters');
-
-    try {
-        const resumeFiles = fs.existsSync(resumeDir) ? fs.readdirSync(resumeDir) : [];
-        const coverLetterFiles = fs.existsSync(coverLetterDir) ? fs.readdirSync(coverLetterDir) : [];
-
-        res.json({
-            success: true,
-            data: {
-                resumeFiles,
-                coverLetterFiles,
-                resumeDir,
-                coverLetterDir,
-                resumeUrls: resumeFiles.map(file => `/upload/resume/${file}`),
-                coverLetterUrls: coverLetterFiles.map(file => `/upload/coverletter/${file}`)
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Error reading upload directories',
-            error: error.message
-        });
-    }
-});
-
 // Database test endpoint with comprehensive debugging
 app.get('/api/test-db', async (req, res) => {
     try {
@@ -0,0 +1,270 @@
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Referral = require('../models/Referral');
+const Message = require('../models/Message');
+const Connection = require('../models/Connection');
+const QASession = require('../models/QASession');
+const Course = require('../models/Course');
+const Alert = require('../models/Alert');
+const JobFAQ = require('../models/JobFAQ');
+const SpamReport = require('../models/SpamReport');
+const Session = require('../models/Session');
+const VerificationCase = require('../models/VerificationCase');
+const SavedSearch = require('../models/SavedSearch');
+const { getStorage, storageKey, variantFilename } = require('./storage');
+const { PHOTO_VARIANTS } = require('./imageProcessing');
+
+// Personal data export and account anonymization.
+
+// Fields never included in an export, even though they belong to the user
+const PRIVATE_USER_FIELDS = ['password', 'passwordResetToken', 'passwordResetExpires', 'verificationToken', 'emailVerificationCode', '__v'];
+
+// Map the files a user owns to their folders under uploads/
+const listUploads = (user, applications, referrals, verificationCases) => {
+    const files = [
+        ['profiles', user.profile?.photo],
+        ['idcards', user.profile?.bracuIdCard],
+        ['graduation', user.alumniTransition?.graduationProof],
+        ['employment', user.alumniVerification?.renewal?.employmentProof],
+        ...verificationCases.flatMap(verificationCase => verificationCase.documents.map(document => [document.folder, document.filename])),
+        ['resumes', user.resume],
+        ...applications.flatMap(application => [
+            ['resumes', application.resume],
+            ['coverletters', application.coverLetter]
+        ]),
+        ...referrals.flatMap(referral => [
+            ['resumes', referral.resume],
+            ['coverletters', referral.coverLetter]
+        ])
+    ];
+
+    const seen = new Set();
+    return files
+        .filter(([, filename]) => filename)
+        .map(([folder, filename]) => ({ folder, filename: path.basename(filename) }))
+        .filter(({ folder, filename }) => {
+            const key = `${folder}/${filename}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// The user's own job applications with the jobs they were sent to
+const findApplications = async (userId) => {
+    const applications = await Application.find({ student: userId })
+        .populate('job', 'title company location type')
+        .sort({ appliedAt: 1 });
+
+    return applications.map(application => ({
+        job: application.job
+            ? { _id: application.job._id, title: application.job.title, company: application.job.company, location: application.job.location, type: application.job.type }
+            : null,
+        status: application.status,
+        statusHistory: application.statusHistory.map(({ from, to, at }) => ({ from, to, at })),
+        appliedAt: application.appliedAt,
+        resume: application.resume,
+        coverLetter: application.coverLetter
+    }));
+};
+
+// Gather everything stored about a user into one JSON-serializable object
+const collectUserData = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const profile = user.toObject({ virtuals: false });
+    PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+
+    const [
+        applications,
+        jobsPosted,
+        referralsRequested,
+        referralsReceived,
+        messages,
+        connections,
+        qaSessions,
+        courses,
+        alerts,
+        faqs,
+        spamReportsFiled,
+        sessions,
+        verificationCases,
+        savedSearches
+    ] = await Promise.all([
+        findApplications(user._id),
+        Job.find({ postedBy: user._id }).lean(),
+        Referral.find({ studentId: user._id }).populate('jobId', 'title company').lean(),
+        Referral.find({ alumniId: user._id }).populate('jobId', 'title company').populate('studentId', 'name').lean(),
+        Message.find({ $or: [{ senderId: user._id }, { receiverId: user._id }] }).sort({ createdAt: 1 }).lean(),
+        Connection.find({ $or: [{ requesterId: user._id }, { targetId: user._id }] }).lean(),
+        QASession.find({ 'students.userId': user._id }).select('sessionTitle questions students jobId createdAt').lean(),
+        Course.find({ 'enrollments.student': user._id }).select('courseName checkpoints enrollments').lean(),
+        Alert.find({ userId: user._id }).sort({ createdAt: -1 }).lean(),
+        JobFAQ.find({ createdBy: user._id }).lean(),
+        SpamReport.find({ reporter: user._id }).select('reportedUser reason description status createdAt').lean(),
+        Session.find({ userId: user._id }).select('userAgent ipAddress lastSeenAt createdAt expiresAt revokedAt').lean(),
+        VerificationCase.find({ user: user._id }).select('-comments.author -history.changedBy -reviewedBy').lean(),
+        SavedSearch.find({ user: user._id }).select('name criteria frequency createdAt').lean()
+    ]);
+
+    const data = {
+        exportedAt: new Date(),
+        profile,
+        applications,
+        jobsPosted,
+        referralsRequested,
+        referralsReceived,
+        messages,
+        connections,
+        qaAnswers: qaSessions.map(session => ({
+            sessionTitle: session.sessionTitle,
+            jobId: session.jobId,
+            questions: session.questions,
+            ...session.students.find(entry => entry.userId.equals(user._id))
+        })),
+        courseProgress: courses.map(course => ({
+            courseName: course.courseName,
+            checkpoints: course.checkpoints,
+            ...course.enrollments.find(entry => entry.student.equals(user._id))
+        })),
+        alerts,
+        faqs,
+        spamReportsFiled,
+        sessions,
+        verificationCases,
+        savedSearches
+    };
+
+    data.uploads = listUploads(user, applications, referralsRequested, verificationCases);
+    return data;
+};
+
+// Stream a ZIP with data.json and every uploaded file that still exists in storage
+const writeExportZip = async (data, output) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+
+    archive.pipe(output);
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+
+    for (const { folder, filename } of data.uploads) {
+        const file = await getStorage().get(storageKey(folder, filename));
+        if (file) {
+            archive.append(file, { name: `uploads/${folder}/${filename}` });
+        }
+    }
+
+    archive.finalize();
+    return finished;
+};
+
+// Remove uploaded files from storage, ignoring ones that are already gone
+const deleteUploads = async (uploads) => {
+    for (const { folder, filename } of uploads) {
+        try {
+            await getStorage().remove(storageKey(folder, filename));
+        } catch (error) {
+            console.warn(`Failed to delete upload ${folder}/${filename}:`, error.message);
+        }
+    }
+};
+
+// Strip a user's personal data from every collection and turn the account into a
+// "Deleted user" placeholder so documents referencing it stay valid.
+const anonymizeAccount = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) return null;
+
+    const [applications, referralsRequested, verificationCases] = await Promise.all([
+        findApplications(user._id),
+        Referral.find({ studentId: user._id }).select('resume coverLetter').lean(),
+        VerificationCase.find({ user: user._id }).select('documents').lean()
+    ]);
+    const uploads = listUploads(user, applications, referralsRequested, verificationCases);
+    if (user.profile?.photo) {
+        // Thumbnails are not part of the export but are deleted with the photo
+        uploads.push(...Object.keys(PHOTO_VARIANTS).map(variant => ({
+            folder: 'profiles',
+            filename: variantFilename(path.basename(user.profile.photo), variant)
+        })));
+    }
+
+    await Promise.all([
+        // Withdraw the user's applications
+        Application.deleteMany({ student: user._id }),
+        Job.updateMany(
+            { _id: { $in: applications.filter(application => application.job).map(application => application.job._id) } },
+            { $inc: { applications: -1 } }
+        ),
+        // Jobs the user posted stop taking applications
+        Job.updateMany({ postedBy: user._id }, { isActive: false }),
+        // Referral requests the user made are withdrawn; ones addressed to them are closed
+        Referral.deleteMany({ studentId: user._id }),
+        Referral.updateMany(
+            { alumniId: user._id, status: 'pending' },
+            { status: 'rejected', alumniResponse: 'This alumni account has been deleted.' }
+        ),
+        // Keep the other side's conversation but drop what the user wrote
+        Message.updateMany({ senderId: user._id }, { message: '[message deleted]' }),
+        Connection.deleteMany({ $or: [{ requesterId: user._id }, { targetId: user._id }] }),
+        QASession.updateMany({ 'students.userId': user._id }, { $pull: { students: { userId: user._id } } }),
+        QASession.deleteMany({ recruiterId: user._id }),
+        Course.updateMany(
+            { 'enrollments.student': user._id },
+            { $pull: { enrollments: { student: user._id }, studentsEnrolled: user._id } }
+        ),
+        Alert.deleteMany({ userId: user._id }),
+        Session.deleteMany({ userId: user._id }),
+        VerificationCase.deleteMany({ user: user._id }),
+        SavedSearch.deleteMany({ user: user._id })
+    ]);
+
+    await deleteUploads(uploads);
+
+    // Replace the user document with a placeholder that can never log in
+    await User.replaceOne({ _id: user._id }, {
+        name: 'Deleted user',
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        role: user.role,
+        isVerified: false,
+        isBlocked: true,
+        profile: {},
+        deletedAt: new Date(),
+        createdAt: user.createdAt,
+        updatedAt: new Date()
+    });
+
+    return user;
+};
+
+// Anonymize every account whose deletion grace period has ended
+const processScheduledDeletions = async () => {
+    const users = await User.find({
+        'deletion.scheduledFor': { $ne: null, $lte: new Date() },
+        deletedAt: null
+    }).select('_id');
+
+    let processed = 0;
+    for (const user of users) {
+        if (await anonymizeAccount(user._id)) processed++;
+    }
+    return processed;
+};
+
+module.exports = {
+    collectUserData,
+    writeExportZip,
+    anonymizeAccount,
+    processScheduledDeletions
+};
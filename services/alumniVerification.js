@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const mailService = require('./mailService');
+
+// Alumni verification expiry and renewal reminders.
+
+const ALUMNI_VERIFICATION_REMINDER_DAYS = parseInt(process.env.ALUMNI_VERIFICATION_REMINDER_DAYS) || 30;
+// Time alumni verified before expiry was tracked get to renew, counted from when they are
+// given an expiry date; longer than the reminder window so they are reminded first
+const ALUMNI_VERIFICATION_GRACE_DAYS = parseInt(process.env.ALUMNI_VERIFICATION_GRACE_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give alumni verified before expiry was tracked an expiry date at the end of the grace period
+const backfillExpiryDates = async (now = new Date()) => {
+    const result = await User.updateMany(
+        { role: 'Alumni', isVerified: true, 'alumniVerification.expiresAt': null },
+        { 'alumniVerification.expiresAt': new Date(now.getTime() + ALUMNI_VERIFICATION_GRACE_DAYS * DAY_MS) }
+    );
+    return result.modifiedCount;
+};
+
+// Email every verified alumni whose verification expires within the reminder window
+// (or already has) and who has not been reminded since it was last renewed
+const sendRenewalReminders = async () => {
+    await backfillExpiryDates();
+
+    const users = await User.find({
+        role: 'Alumni',
+        isVerified: true,
+        isBlocked: false,
+        deletedAt: null,
+        'alumniVerification.expiresAt': { $lte: new Date(Date.now() + ALUMNI_VERIFICATION_REMINDER_DAYS * DAY_MS) },
+        'alumniVerification.reminderSentAt': null
+    }).select('name email alumniVerification');
+
+    for (const user of users) {
+        const { expiresAt } = user.alumniVerification;
+
+        await mailService.notify('alumniVerificationReminder', user.email, {
+            name: user.name,
+            expiresAt: expiresAt.toUTCString(),
+            expired: expiresAt <= new Date(),
+            renewUrl: mailService.frontendUrl('/settings/alumni-verification')
+        });
+
+        await User.updateOne({ _id: user._id }, { 'alumniVerification.reminderSentAt': new Date() });
+    }
+    return users.length;
+};
+
+module.exports = {
+    backfillExpiryDates,
+    sendRenewalReminders
+};
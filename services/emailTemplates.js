@@ -0,0 +1,182 @@
+// Email templates. Each template takes a data object and returns { subject, text, html }.
+
+const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Wrap template paragraphs in the shared HTML layout
+const layout = (paragraphs) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+${paragraphs.map(p => `    <p>${p}</p>`).join('\n')}
+    <p style="color: #888; font-size: 12px;">BRACU Out - Campus Recruitment &amp; Referral System</p>
+</body>
+</html>`;
+
+const roleLabels = {
+    Student: 'student',
+    Alumni: 'alumni',
+    Recruiter: 'recruiter'
+};
+
+const templates = {
+    emailVerification: ({ name, code, confirmUrl, expiresInMinutes }) => ({
+        subject: 'Confirm your email address',
+        text: `Hi ${name},\n\nYour confirmation code is ${code}\n\nYou can also confirm by opening this link:\n\n${confirmUrl}\n\nThe code expires in ${expiresInMinutes} minutes.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `Your confirmation code is <strong style="font-size: 20px; letter-spacing: 4px;">${escapeHtml(code)}</strong>`,
+            `You can also confirm by clicking <a href="${escapeHtml(confirmUrl)}">this link</a>.`,
+            `The code expires in ${expiresInMinutes} minutes.`
+        ])
+    }),
+
+    emailChangeCode: ({ name, code, newEmail, isNewAddress, expiresInMinutes }) => ({
+        subject: isNewAddress ? 'Confirm your new email address' : 'Confirm your email address change',
+        text: isNewAddress
+            ? `Hi ${name},\n\nEnter this code to confirm ${newEmail} as your new BRACU Out email address: ${code}\n\nThe code expires in ${expiresInMinutes} minutes.`
+            : `Hi ${name},\n\nWe received a request to change your BRACU Out email address to ${newEmail}. Enter this code to approve the change: ${code}\n\nThe code expires in ${expiresInMinutes} minutes. If you did not request this, do not share the code and change your password.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            isNewAddress
+                ? `Enter this code to confirm ${escapeHtml(newEmail)} as your new BRACU Out email address:`
+                : `We received a request to change your BRACU Out email address to ${escapeHtml(newEmail)}. Enter this code to approve the change:`,
+            `<strong style="font-size: 20px; letter-spacing: 4px;">${escapeHtml(code)}</strong>`,
+            isNewAddress
+                ? `The code expires in ${expiresInMinutes} minutes.`
+                : `The code expires in ${expiresInMinutes} minutes. If you did not request this, do not share the code and change your password.`
+        ])
+    }),
+
+    emailChanged: ({ name, newEmail }) => ({
+        subject: 'Your email address was changed',
+        text: `Hi ${name},\n\nThe email address on your BRACU Out account was changed to ${newEmail} and all devices were signed out.\n\nIf you did not make this change, contact a BRACU Out admin right away.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `The email address on your BRACU Out account was changed to ${escapeHtml(newEmail)} and all devices were signed out.`,
+            'If you did not make this change, contact a BRACU Out admin right away.'
+        ])
+    }),
+
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+        subject: 'Reset your password',
+        text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            'We received a request to reset your password. Click the link below to choose a new one:',
+            `<a href="${escapeHtml(resetUrl)}">Reset password</a>`,
+            `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email.`
+        ])
+    }),
+
+    accountLocked: ({ name, lockedUntil, resetUrl }) => ({
+        subject: 'Your account has been temporarily locked',
+        text: `Hi ${name},\n\nWe locked your account after several failed login attempts. You can try again after ${lockedUntil}.\n\nIf this wasn't you, someone may be trying to guess your password. We recommend resetting it:\n\n${resetUrl}`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `We locked your account after several failed login attempts. You can try again after ${escapeHtml(lockedUntil)}.`,
+            `If this wasn't you, someone may be trying to guess your password. We recommend <a href="${escapeHtml(resetUrl)}">resetting it</a>.`
+        ])
+    }),
+
+    adminInvitation: ({ name, inviterName, acceptUrl, expiresAt }) => ({
+        subject: 'You have been invited to administer BRACU Out',
+        text: `Hi${name ? ` ${name}` : ''},\n\n${inviterName} invited you to become an admin on BRACU Out. Open the link below to set your password and activate your account:\n\n${acceptUrl}\n\nThis invitation expires on ${expiresAt}. If you were not expecting it, you can ignore this email.`,
+        html: layout([
+            `Hi${name ? ` ${escapeHtml(name)}` : ''},`,
+            `${escapeHtml(inviterName)} invited you to become an admin on BRACU Out.`,
+            `<a href="${escapeHtml(acceptUrl)}">Accept the invitation</a> to set your password and activate your account.`,
+            `This invitation expires on ${escapeHtml(expiresAt)}. If you were not expecting it, you can ignore this email.`
+        ])
+    }),
+
+    accountDeletionScheduled: ({ name, scheduledFor, cancelUrl }) => ({
+        subject: 'Your account is scheduled for deletion',
+        text: `Hi ${name},\n\nWe received a request to delete your BRACU Out account. It will be permanently deleted on ${scheduledFor}.\n\nIf you change your mind, log in and cancel the deletion before then:\n\n${cancelUrl}\n\nIf you did not request this, log in, cancel the deletion and change your password.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `We received a request to delete your BRACU Out account. It will be permanently deleted on ${escapeHtml(scheduledFor)}.`,
+            `If you change your mind, <a href="${escapeHtml(cancelUrl)}">log in and cancel the deletion</a> before then.`,
+            'If you did not request this, log in, cancel the deletion and change your password.'
+        ])
+    }),
+
+    alumniVerificationReminder: ({ name, expiresAt, expired, renewUrl }) => ({
+        subject: expired ? 'Your alumni verification has expired' : 'Your alumni verification expires soon',
+        text: `Hi ${name},\n\n${expired ? `Your alumni verification expired on ${expiresAt}. Students cannot request referrals from you until you renew it.` : `Your alumni verification expires on ${expiresAt}. After that, students cannot request referrals from you until you renew it.`}\n\nUpload proof of your current employment to renew:\n\n${renewUrl}`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            expired
+                ? `Your alumni verification expired on ${escapeHtml(expiresAt)}. Students cannot request referrals from you until you renew it.`
+                : `Your alumni verification expires on ${escapeHtml(expiresAt)}. After that, students cannot request referrals from you until you renew it.`,
+            `<a href="${escapeHtml(renewUrl)}">Upload proof of your current employment</a> to renew.`
+        ])
+    }),
+
+    verificationApproved: ({ name, role }) => ({
+        subject: 'Your account has been verified',
+        text: `Hi ${name},\n\nGood news! Your ${roleLabels[role] || ''} account has been verified by an admin. You can now log in and use the platform.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `Good news! Your ${roleLabels[role] || ''} account has been verified by an admin. You can now log in and use the platform.`
+        ])
+    }),
+
+    verificationRejected: ({ name, role, notes }) => ({
+        subject: 'Your account verification was not approved',
+        text: `Hi ${name},\n\nAn admin reviewed your ${roleLabels[role] || ''} account and could not verify it.${notes ? `\n\nReviewer notes: ${notes}` : ''}\n\nYou can upload new documents from your profile and we will review them again.`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `An admin reviewed your ${roleLabels[role] || ''} account and could not verify it.`,
+            ...(notes ? [`Reviewer notes: ${escapeHtml(notes)}`] : []),
+            'You can upload new documents from your profile and we will review them again.'
+        ])
+    }),
+
+    verificationInfoRequested: ({ name, role, comment, respondUrl }) => ({
+        subject: 'We need more information to verify your account',
+        text: `Hi ${name},\n\nAn admin reviewing your ${roleLabels[role] || ''} account needs more information before they can verify it:\n\n${comment}\n\nYou can reply and upload documents here:\n\n${respondUrl}`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `An admin reviewing your ${roleLabels[role] || ''} account needs more information before they can verify it:`,
+            `<em>${escapeHtml(comment)}</em>`,
+            `<a href="${escapeHtml(respondUrl)}">Reply and upload documents</a>`
+        ])
+    }),
+
+    referralApproved: ({ name, alumniName, jobTitle, company, response }) => ({
+        subject: `Referral approved: ${jobTitle}`,
+        text: `Hi ${name},\n\n${alumniName} approved your referral request for ${jobTitle} at ${company}.${response ? `\n\nMessage: ${response}` : ''}`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `${escapeHtml(alumniName)} approved your referral request for <strong>${escapeHtml(jobTitle)}</strong> at ${escapeHtml(company)}.`,
+            ...(response ? [`Message: ${escapeHtml(response)}`] : [])
+        ])
+    }),
+
+    referralRejected: ({ name, alumniName, jobTitle, company, response }) => ({
+        subject: `Referral update: ${jobTitle}`,
+        text: `Hi ${name},\n\n${alumniName} was unable to refer you for ${jobTitle} at ${company}.${response ? `\n\nMessage: ${response}` : ''}`,
+        html: layout([
+            `Hi ${escapeHtml(name)},`,
+            `${escapeHtml(alumniName)} was unable to refer you for <strong>${escapeHtml(jobTitle)}</strong> at ${escapeHtml(company)}.`,
+            ...(response ? [`Message: ${escapeHtml(response)}`] : [])
+        ])
+    })
+};
+
+// Render a template by name
+const renderTemplate = (name, data = {}) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return template(data);
+};
+
+module.exports = {
+    renderTemplate
+};
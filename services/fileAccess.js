@@ -0,0 +1,120 @@
+const path = require('path');
+const crypto = require('crypto');
+const Application = require('../models/Application');
+const Referral = require('../models/Referral');
+const VerificationCase = require('../models/VerificationCase');
+const { VERIFY_PERMISSIONS } = require('../config/permissions');
+const { hasTwoFactorSession } = require('../middleware/roleProtect');
+const { storageKey } = require('./storage');
+
+// Who may download each private upload, and signed links for embedding them.
+
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS) || 5 * 60;
+
+// Folders under uploads/ that are only served through the access checks below.
+// Profile photos stay public.
+const PRIVATE_FOLDERS = ['idcards', 'resumes', 'coverletters', 'graduation', 'employment', 'misc'];
+
+// Identity documents are only visible to admins who review verifications
+const IDENTITY_FOLDERS = ['idcards', 'graduation', 'employment'];
+
+// Resolve a folder and filename to a storage key, or null if either is not allowed
+const resolvePrivateFile = (folder, filename) => {
+    if (!PRIVATE_FOLDERS.includes(folder) || !filename || path.basename(filename) !== filename) {
+        return null;
+    }
+    return storageKey(folder, filename);
+};
+
+// Check whether the user uploaded the file themselves. Identity documents are matched
+// against the verification case only: the profile is user-editable.
+const isOwnFile = async (user, folder, filename) => {
+    switch (folder) {
+        case 'idcards':
+            return !!(await VerificationCase.exists({ user: user._id, 'documents.filename': filename }));
+        case 'graduation':
+            return user.alumniTransition?.graduationProof === filename;
+        case 'employment':
+            return user.alumniVerification?.renewal?.employmentProof === filename;
+        case 'resumes':
+        case 'coverletters': {
+            if (user.resume === filename) return true;
+            const field = folder === 'resumes' ? 'resume' : 'coverLetter';
+            const [applied, requested] = await Promise.all([
+                Application.exists({ student: user._id, [field]: filename }),
+                Referral.exists({ studentId: user._id, [field]: filename })
+            ]);
+            return !!(applied || requested);
+        }
+        default:
+            return false;
+    }
+};
+
+// Check whether the file was shared with the user: a recruiter sees what was sent with
+// applications to their jobs, an alumni what was attached to referrals addressed to them
+const isSharedWith = async (user, folder, filename) => {
+    if (folder !== 'resumes' && folder !== 'coverletters') return false;
+    const field = folder === 'resumes' ? 'resume' : 'coverLetter';
+
+    if (user.role === 'Recruiter') {
+        return !!(await Application.exists({ recruiter: user._id, [field]: filename }));
+    }
+    if (user.role === 'Alumni') {
+        return !!(await Referral.exists({ alumniId: user._id, [field]: filename }));
+    }
+    return false;
+};
+
+// Check whether the signed-in user may download a private upload. Admins need the same
+// two-factor session as on admin routes, and a permission for the kind of document.
+// Impersonation sessions see none: the owner checks would run as the impersonated user.
+const canAccessFile = async (req, folder, filename) => {
+    const { user } = req;
+    if (req.impersonatedBy) return false;
+    if (user.role === 'Admin') {
+        if (!hasTwoFactorSession(req)) return false;
+        if (IDENTITY_FOLDERS.includes(folder)) {
+            return Object.values(VERIFY_PERMISSIONS).some(permission => user.hasPermission(permission));
+        }
+        return user.hasPermission('view:documents');
+    }
+    return (await isOwnFile(user, folder, filename)) || isSharedWith(user, folder, filename);
+};
+
+const signature = (folder, filename, expires) => crypto
+    .createHmac('sha256', process.env.FILE_URL_SECRET || process.env.JWT_SECRET)
+    .update(`${folder}/${filename}:${expires}`)
+    .digest('hex');
+
+// Build an expiring link to a private upload that works without an Authorization header
+const signFileUrl = (folder, filename, ttlSeconds = FILE_URL_TTL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const query = new URLSearchParams({ expires, signature: signature(folder, filename, expires) }).toString();
+    const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+    return {
+        url: `${baseUrl}/api/files/signed/${folder}/${encodeURIComponent(filename)}?${query}`,
+        expiresAt: new Date(expires * 1000)
+    };
+};
+
+// Check a signed link's signature and expiry
+const verifyFileSignature = (folder, filename, expires, givenSignature) => {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt < Date.now() / 1000 || typeof givenSignature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(signature(folder, filename, expiresAt));
+    const given = Buffer.from(givenSignature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+    PRIVATE_FOLDERS,
+    resolvePrivateFile,
+    canAccessFile,
+    signFileUrl,
+    verifyFileSignature
+};
@@ -0,0 +1,138 @@
+const path = require('path');
+const { getStorage, storageKey } = require('./storage');
+const { getScanner } = require('./malwareScanner');
+
+// Content checks for uploads: the real file type is sniffed from its first bytes
+// instead of trusting the client's mimetype, documents get structural checks and
+// every file goes through the malware scanner. Suspicious files are moved to the
+// quarantine/ area of storage and the upload is rejected, so nothing references them.
+
+// Rejected upload; statusCode is 400 for bad files and 503 when scanning failed
+class UploadInspectionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'UploadInspectionError';
+        this.statusCode = statusCode;
+    }
+}
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// Signatures of the types we accept, with the extension stored files get
+const FILE_TYPES = [
+    { mime: 'image/jpeg', ext: '.jpg', matches: b => startsWith(b, [0xFF, 0xD8, 0xFF]) },
+    { mime: 'image/png', ext: '.png', matches: b => startsWith(b, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    { mime: 'image/webp', ext: '.webp', matches: b => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+    { mime: 'application/pdf', ext: '.pdf', matches: b => startsWith(b, ascii('%PDF-')) },
+    // Legacy Word documents are OLE compound files
+    { mime: 'application/msword', ext: '.doc', matches: b => startsWith(b, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+    // DOCX is a zip archive; entry names are stored uncompressed in the headers
+    {
+        mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        ext: '.docx',
+        matches: b => startsWith(b, ascii('PK\x03\x04')) && b.includes('[Content_Types].xml') && b.includes('word/')
+    }
+];
+
+// The client-side alias for JPEG that browsers still send
+const normalizeMime = (mime) => (mime === 'image/jpg' ? 'image/jpeg' : mime);
+
+// Detect a file's type from its content; null when it is not one we accept
+const detectFileType = (buffer) => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+// PDF features that can run code or carry other files; resumes have no need for them
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|Launch|EmbeddedFile)\b/;
+
+// Structural checks per type. Returns { error } for broken files,
+// { suspicious } for files that should be quarantined, or {} when fine.
+const checkStructure = (type, buffer) => {
+    if (type.ext === '.pdf') {
+        const tail = buffer.subarray(Math.max(0, buffer.length - 1024)).toString('latin1');
+        if (!tail.includes('%%EOF')) {
+            return { error: 'The PDF file is incomplete or damaged.' };
+        }
+        const active = buffer.toString('latin1').match(PDF_ACTIVE_CONTENT);
+        if (active) {
+            return { suspicious: `PDF contains ${active[1]}` };
+        }
+    }
+
+    if (type.ext === '.docx') {
+        if (!buffer.includes('word/document.xml')) {
+            return { error: 'The Word document is incomplete or damaged.' };
+        }
+        if (buffer.includes('vbaProject.bin')) {
+            return { suspicious: 'Word document contains macros' };
+        }
+    }
+
+    return {};
+};
+
+// Reduce a client filename to a safe basename (letters, digits, dashes and underscores)
+const sanitizeFilename = (originalname = '') => {
+    const name = path.basename(originalname.replace(/\\/g, '/'), path.extname(originalname))
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50);
+    return name || 'file';
+};
+
+// Keep a suspicious upload out of the normal folders for later review
+const quarantine = async (buffer, folder, originalname, reason) => {
+    const filename = `${sanitizeFilename(originalname)}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const key = storageKey(`quarantine/${folder}`, filename);
+
+    await getStorage().put(key, buffer, { contentType: 'application/octet-stream' });
+    console.warn(`Quarantined upload ${key} (${reason})`);
+    return key;
+};
+
+// Inspect an upload before it is stored. Resolves to the detected { mime, ext } or
+// rejects with an UploadInspectionError.
+const inspectUpload = async ({ buffer, originalname, allowedTypes, folder }) => {
+    const type = detectFileType(buffer);
+    const allowed = allowedTypes.map(normalizeMime);
+
+    if (!type || !allowed.includes(type.mime)) {
+        throw new UploadInspectionError(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`);
+    }
+
+    const { error, suspicious } = checkStructure(type, buffer);
+    if (error) {
+        throw new UploadInspectionError(error);
+    }
+
+    let reason = suspicious;
+    if (!reason) {
+        let result;
+        try {
+            result = await getScanner().scan(buffer);
+        } catch (scanError) {
+            console.error('Malware scan failed:', scanError);
+            throw new UploadInspectionError('The file could not be scanned. Please try again later.', 503);
+        }
+        if (!result.clean) {
+            reason = `malware scanner: ${result.signature || 'threat found'}`;
+        }
+    }
+
+    if (reason) {
+        await quarantine(buffer, folder, originalname, reason);
+        throw new UploadInspectionError('The file was flagged as unsafe and was not accepted.');
+    }
+
+    return { mime: type.mime, ext: type.ext };
+};
+
+module.exports = {
+    UploadInspectionError,
+    detectFileType,
+    sanitizeFilename,
+    inspectUpload
+};
@@ -0,0 +1,68 @@
+const sharp = require('sharp');
+const { UploadInspectionError } = require('./fileInspection');
+
+// Server-side image processing for uploads. Images are re-encoded, which drops EXIF
+// and other metadata (phone photos carry GPS coordinates), after being rotated
+// upright according to their EXIF orientation.
+
+// Square thumbnails stored next to every profile photo, by edge length in pixels
+const PHOTO_VARIANTS = {
+    small: 64,
+    medium: 256,
+    large: 512
+};
+
+// Largest stored edge of a profile photo and of other images such as ID cards
+const MAX_PHOTO_SIZE = 1024;
+const MAX_DOCUMENT_IMAGE_SIZE = 2000;
+
+// Run sharp on an upload; a truncated or corrupt image that got past the magic-byte
+// check is rejected like any other invalid upload
+const decodeImage = async (work) => {
+    try {
+        return await work();
+    } catch (error) {
+        throw new UploadInspectionError('Invalid image. The file could not be read as an image.');
+    }
+};
+
+// Normalize a profile photo to WebP and render its square thumbnails
+const processProfilePhoto = async (buffer) => {
+    const image = sharp(buffer).rotate();
+
+    const [body, ...variantBodies] = await decodeImage(() => Promise.all([
+        image.clone()
+            .resize(MAX_PHOTO_SIZE, MAX_PHOTO_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer(),
+        ...Object.values(PHOTO_VARIANTS).map(size => image.clone()
+            .resize(size, size, { fit: 'cover', position: 'attention' })
+            .webp({ quality: 80 })
+            .toBuffer())
+    ]));
+
+    const variants = {};
+    Object.keys(PHOTO_VARIANTS).forEach((name, i) => {
+        variants[name] = variantBodies[i];
+    });
+
+    return { body, contentType: 'image/webp', extension: '.webp', variants };
+};
+
+// Normalize any other image (ID cards, proofs) to a metadata-free JPEG that stays legible
+const processDocumentImage = async (buffer) => {
+    const body = await decodeImage(() => sharp(buffer)
+        .rotate()
+        .resize(MAX_DOCUMENT_IMAGE_SIZE, MAX_DOCUMENT_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 90, mozjpeg: true })
+        .toBuffer());
+
+    return { body, contentType: 'image/jpeg', extension: '.jpg', variants: {} };
+};
+
+module.exports = {
+    PHOTO_VARIANTS,
+    processProfilePhoto,
+    processDocumentImage
+};
@@ -0,0 +1,165 @@
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Course = require('../models/Course');
+
+// Personalized job recommendations for students. Active jobs are scored against the
+// student's profile, completed courses and past applications; every point a job earns
+// comes with a reason that is shown to the student.
+
+// Jobs scored per request, newest first
+const CANDIDATE_LIMIT = 500;
+
+// Words in a job that suggest it fits a department, keyed by common department names
+const DEPARTMENT_KEYWORDS = {
+    cse: ['software', 'developer', 'engineer', 'programming', 'computer', 'web', 'data', 'it'],
+    cs: ['software', 'developer', 'programming', 'computer', 'web', 'data', 'it'],
+    eee: ['electrical', 'electronics', 'power', 'embedded', 'telecom'],
+    ece: ['electronics', 'embedded', 'telecom', 'network'],
+    bba: ['business', 'marketing', 'sales', 'finance', 'accounting', 'hr', 'operations'],
+    economics: ['economics', 'research', 'policy', 'finance', 'analyst'],
+    architecture: ['architecture', 'architect', 'design', 'autocad'],
+    pharmacy: ['pharmacy', 'pharmaceutical', 'healthcare', 'medical'],
+    english: ['content', 'writing', 'editor', 'communication', 'teaching'],
+    law: ['legal', 'law', 'compliance', 'contract'],
+    mathematics: ['data', 'analyst', 'statistics', 'quantitative'],
+    physics: ['research', 'engineering', 'data'],
+    microbiology: ['lab', 'laboratory', 'research', 'quality', 'microbiology']
+};
+
+// Years a student studies before full-time roles fit better than internships
+const YEARS_TO_GRADUATION = 3;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const words = (text) => new Set(normalize(text).split(/[^a-z0-9+#.]+/).filter(word => word.length > 1));
+
+// Enrollment year from a batch like "Spring 2021", "2021" or "21"
+const batchYear = (batch) => {
+    const year = String(batch || '').match(/\b(\d{4}|\d{2})\b/);
+    if (!year) return null;
+    return year[1].length === 2 ? 2000 + parseInt(year[1]) : parseInt(year[1]);
+};
+
+// Course names of the courses where the student completed every checkpoint
+const findCompletedCourses = async (userId) => {
+    const courses = await Course.find({ 'enrollments.student': userId })
+        .select('courseName checkpoints enrollments');
+
+    return courses
+        .filter(course => {
+            const enrollment = course.enrollments.find(e => e.student.toString() === userId.toString());
+            return course.checkpoints.length > 0
+                && course.checkpoints.every(checkpoint => enrollment.completedCheckpoints
+                    .some(c => c.checkpointId.toString() === checkpoint._id.toString()));
+        })
+        .map(course => course.courseName);
+};
+
+// Everything the scoring looks at for one student
+const buildStudentSignals = async (user, appliedJobIds) => {
+    const [completedCourses, appliedJobs] = await Promise.all([
+        findCompletedCourses(user._id),
+        Job.find({ _id: { $in: appliedJobIds } }).select('type company tags requirements.skills')
+    ]);
+
+    const year = batchYear(user.profile?.batch);
+    const department = normalize(user.profile?.department);
+
+    return {
+        skills: new Map((user.profile?.skills || []).filter(Boolean).map(skill => [normalize(skill), skill])),
+        departmentKeywords: new Set([department, ...(DEPARTMENT_KEYWORDS[department] || [])].filter(Boolean)),
+        department: user.profile?.department,
+        nearGraduation: year ? new Date().getFullYear() - year >= YEARS_TO_GRADUATION : null,
+        experienceCount: (user.profile?.experience || []).filter(e => e.title || e.company).length,
+        completedCourses: completedCourses.map(name => ({ name, words: words(name) })),
+        applied: {
+            types: new Set(appliedJobs.map(job => job.type)),
+            companies: new Set(appliedJobs.map(job => normalize(job.company))),
+            tags: new Set(appliedJobs.flatMap(job => [...job.tags, ...(job.requirements?.skills || [])]).map(normalize))
+        }
+    };
+};
+
+// Score one job; returns { score, reasons }
+const scoreJob = (job, signals) => {
+    let score = 0;
+    const reasons = [];
+    const jobSkills = (job.requirements?.skills || []).map(normalize);
+    const jobTerms = new Set([...jobSkills, ...job.tags.map(normalize)]);
+    const jobWords = words([job.title, job.tags.join(' '), jobSkills.join(' '), job.description].join(' '));
+
+    // Skills the job asks for that the student has
+    const matchedSkills = jobSkills.filter(skill => signals.skills.has(skill));
+    if (matchedSkills.length) {
+        score += Math.min(matchedSkills.length, 5) * 10;
+        reasons.push(`Matches your skills: ${matchedSkills.map(skill => signals.skills.get(skill)).join(', ')}`);
+    }
+
+    // Completed courses whose name mentions one of the job's skills or tags
+    const relatedCourses = signals.completedCourses
+        .filter(course => [...jobTerms].some(term => course.words.has(term)));
+    if (relatedCourses.length) {
+        score += Math.min(relatedCourses.length, 2) * 6;
+        reasons.push(`Related to your completed course${relatedCourses.length > 1 ? 's' : ''}: ${relatedCourses.map(course => course.name).join(', ')}`);
+    }
+
+    if ([...signals.departmentKeywords].some(keyword => jobWords.has(keyword))) {
+        score += 5;
+        reasons.push(`Relevant to ${signals.department} students`);
+    }
+
+    // Early students are pointed to internships, those close to graduating to full-time roles
+    if (signals.nearGraduation === false && (job.type === 'Internship' || job.type === 'Part-time')) {
+        score += 4;
+        reasons.push(`${job.type} roles suit your batch`);
+    } else if (signals.nearGraduation && job.type === 'Full-time') {
+        score += 4;
+        reasons.push('Full-time roles suit your batch');
+    }
+
+    const level = job.requirements?.experienceLevel;
+    if (level === 'Entry' || (level === 'Mid' && signals.experienceCount >= 2)) {
+        score += 5;
+        reasons.push('Fits your experience level');
+    } else if (level === 'Senior' || (level === 'Mid' && signals.experienceCount === 0)) {
+        score -= 10;
+    }
+
+    // Similar to what the student applied to before
+    const sharedTags = [...jobTerms].filter(term => signals.applied.tags.has(term));
+    if (sharedTags.length || signals.applied.companies.has(normalize(job.company))) {
+        score += Math.min(sharedTags.length, 3) * 3 + (signals.applied.companies.has(normalize(job.company)) ? 2 : 0);
+        reasons.push('Similar to jobs you applied to');
+    }
+    if (signals.applied.types.has(job.type)) {
+        score += 2;
+    }
+
+    return { score, reasons };
+};
+
+// Best matching open jobs the student has not applied to yet, highest score first
+const recommendJobs = async (user, limit = 10) => {
+    const appliedJobIds = await Application.distinct('job', { student: user._id });
+    const [signals, jobs] = await Promise.all([
+        buildStudentSignals(user, appliedJobIds),
+        Job.find({
+            isActive: true,
+            deadline: { $gt: new Date() },
+            _id: { $nin: appliedJobIds }
+        })
+            .populate('postedBy', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(CANDIDATE_LIMIT)
+    ]);
+
+    return jobs
+        .map(job => ({ job, ...scoreJob(job, signals) }))
+        .filter(({ score, reasons }) => score > 0 && reasons.length)
+        .sort((a, b) => b.score - a.score || b.job.createdAt - a.job.createdAt)
+        .slice(0, limit);
+};
+
+module.exports = {
+    recommendJobs
+};
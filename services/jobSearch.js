@@ -0,0 +1,152 @@
+const Job = require('../models/Job');
+
+// Job search: turns query-string criteria into a MongoDB filter and sort, and counts
+// facets over the matching jobs.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds of the salary bands reported in facets, by salary.max; the last band is open-ended
+const SALARY_BANDS = [30000, 60000, 100000, 150000];
+
+// Values shown per facet for free-text fields such as location and company
+const FACET_LIMIT = 20;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a, b,,c" or ['a', 'b'] -> ['a', 'b', 'c']
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const toDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+};
+
+// Build { filter, sort, projection } from search criteria:
+//   search          text search over title, company, skills, tags and description
+//   location, company, type, tags, minSalary, maxSalary
+//   skills          comma-separated; jobs must ask for all of them (case-insensitive)
+//   experienceLevel comma-separated Entry, Mid, Senior
+//   deadlineFrom, deadlineTo   ISO dates bounding the application deadline
+//   closingWithin   only jobs whose deadline is within this many days from now
+//   sort            relevance (default when searching), newest or deadline
+const buildJobSearch = (criteria = {}) => {
+    const {
+        search,
+        location,
+        type,
+        company,
+        minSalary,
+        maxSalary,
+        tags,
+        skills,
+        experienceLevel,
+        deadlineFrom,
+        deadlineTo,
+        closingWithin,
+        sort
+    } = criteria;
+
+    const filter = { isActive: true };
+    const text = String(search || '').trim();
+
+    if (text) filter.$text = { $search: text };
+    if (location) filter.location = { $regex: escapeRegex(location), $options: 'i' };
+    if (type) filter.type = { $in: toList(type) };
+    if (company) filter.company = { $regex: escapeRegex(company), $options: 'i' };
+    if (tags) filter.tags = { $in: toList(tags) };
+
+    if (skills) {
+        filter['requirements.skills'] = {
+            $all: toList(skills).map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'))
+        };
+    }
+
+    if (experienceLevel) {
+        filter['requirements.experienceLevel'] = {
+            $in: toList(experienceLevel).filter(level => Job.EXPERIENCE_LEVELS.includes(level))
+        };
+    }
+
+    // Salary range filter
+    if (minSalary) filter['salary.min'] = { $gte: parseInt(minSalary) };
+    if (maxSalary) filter['salary.max'] = { $lte: parseInt(maxSalary) };
+
+    // Deadline window
+    const deadline = {};
+    const from = toDate(deadlineFrom);
+    const to = toDate(deadlineTo);
+    if (from) deadline.$gte = from;
+    if (to) deadline.$lte = to;
+    if (parseInt(closingWithin) > 0) {
+        const now = new Date();
+        const closesBy = new Date(now.getTime() + parseInt(closingWithin) * DAY_MS);
+        deadline.$gte = deadline.$gte && deadline.$gte > now ? deadline.$gte : now;
+        deadline.$lte = deadline.$lte && deadline.$lte < closesBy ? deadline.$lte : closesBy;
+    }
+    if (Object.keys(deadline).length) filter.deadline = deadline;
+
+    const sortBy = sort || (text ? 'relevance' : 'newest');
+    let sortOrder = { createdAt: -1 };
+    if (sortBy === 'deadline') sortOrder = { deadline: 1 };
+    if (sortBy === 'relevance' && text) sortOrder = { score: { $meta: 'textScore' }, createdAt: -1 };
+
+    return {
+        filter,
+        sort: sortOrder,
+        projection: text ? { score: { $meta: 'textScore' } } : {}
+    };
+};
+
+// Count values of a field across matching jobs, most common first
+const countBy = (field) => [
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Facet counts (type, location, company, tags, salary bands) over jobs matching a filter
+const getJobFacets = async (filter) => {
+    const [facets] = await Job.aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                type: countBy('type'),
+                location: countBy('location'),
+                company: countBy('company'),
+                tags: [{ $unwind: '$tags' }, ...countBy('tags')],
+                experienceLevel: countBy('requirements.experienceLevel'),
+                salaryBands: [
+                    {
+                        $bucket: {
+                            groupBy: '$salary.max',
+                            boundaries: [0, ...SALARY_BANDS],
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    // Buckets are keyed by their lower bound; report both ends instead
+    const bounds = [0, ...SALARY_BANDS];
+    facets.salaryBands = facets.salaryBands.map(({ _id, count }) => {
+        if (_id === 'above') {
+            return { min: SALARY_BANDS[SALARY_BANDS.length - 1], max: null, count };
+        }
+        return { min: _id, max: bounds[bounds.indexOf(_id) + 1], count };
+    });
+
+    return facets;
+};
+
+module.exports = {
+    SALARY_BANDS,
+    buildJobSearch,
+    getJobFacets
+};
@@ -0,0 +1,101 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+const { renderTemplate } = require('./emailTemplates');
+
+// Transports:
+//   smtp   - deliver through the SMTP server in SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   outbox - write every message as a JSON file into MAIL_OUTBOX_DIR (for local development and tests)
+// MAIL_TRANSPORT selects one explicitly; otherwise SMTP is used whenever SMTP_HOST is set.
+const getTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    return process.env.SMTP_HOST ? 'smtp' : 'outbox';
+};
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+let cachedTransport = null;
+
+// Create (once) the nodemailer transport for the configured delivery method
+const getTransport = () => {
+    if (cachedTransport) return cachedTransport;
+
+    const transportName = getTransportName();
+    switch (transportName) {
+        case 'smtp':
+            cachedTransport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+            break;
+        case 'outbox':
+            cachedTransport = nodemailer.createTransport({ jsonTransport: true });
+            break;
+        default:
+            throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    return cachedTransport;
+};
+
+// Persist a JSON-rendered message into the outbox directory
+const writeToOutbox = (info) => {
+    const outboxDir = getOutboxDir();
+    if (!fs.existsSync(outboxDir)) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filepath = path.join(outboxDir, filename);
+    fs.writeFileSync(filepath, JSON.stringify(JSON.parse(info.message), null, 2));
+    return filepath;
+};
+
+// Send a raw email
+const sendMail = async ({ to, subject, text, html }) => {
+    const info = await getTransport().sendMail({
+        from: process.env.MAIL_FROM || 'BRACU Out <no-reply@bracuout.app>',
+        to,
+        subject,
+        text,
+        html
+    });
+
+    if (getTransportName() === 'outbox') {
+        info.outboxFile = writeToOutbox(info);
+    }
+
+    return info;
+};
+
+// Render a template and send it
+const sendTemplate = (templateName, to, data = {}) => {
+    const { subject, text, html } = renderTemplate(templateName, data);
+    return sendMail({ to, subject, text, html });
+};
+
+// Send a template without failing the caller; notification emails are best-effort
+const notify = async (templateName, to, data = {}) => {
+    try {
+        await sendTemplate(templateName, to, data);
+    } catch (error) {
+        console.warn(`Email "${templateName}" to ${to} failed:`, error?.message || error);
+    }
+};
+
+// Build a link into the frontend app
+const frontendUrl = (pathname) => {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+module.exports = {
+    sendMail,
+    sendTemplate,
+    notify,
+    frontendUrl
+};
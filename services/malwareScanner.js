@@ -0,0 +1,93 @@
+const net = require('net');
+
+// Malware scanners for uploaded files. A scanner is an object with an async
+// scan(buffer) method resolving to { clean, signature }; it should reject when the
+// file could not be scanned.
+
+// Accepts every file; used when no scanner is configured
+const noopScanner = {
+    name: 'none',
+    async scan() {
+        return { clean: true, signature: null };
+    }
+};
+
+// A clamd daemon reached over TCP, using its INSTREAM command
+const createClamAvScanner = ({ host = '127.0.0.1', port = 3310, timeoutMs = 10000 } = {}) => ({
+    name: 'clamav',
+
+    scan(buffer) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            let reply = '';
+
+            socket.setTimeout(timeoutMs, () => socket.destroy(new Error('ClamAV scan timed out')));
+            socket.on('error', reject);
+            socket.on('data', chunk => { reply += chunk.toString(); });
+            socket.on('end', () => {
+                // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND"
+                const result = reply.replace(/\0/g, '').trim();
+                if (result.endsWith('OK')) {
+                    return resolve({ clean: true, signature: null });
+                }
+                const found = result.match(/^stream: (.+) FOUND$/);
+                if (found) {
+                    return resolve({ clean: false, signature: found[1] });
+                }
+                reject(new Error(`Unexpected ClamAV reply: ${result}`));
+            });
+
+            socket.on('connect', () => {
+                socket.write('zINSTREAM\0');
+                // Each chunk is prefixed with its length; a zero length ends the stream
+                const chunkSize = 64 * 1024;
+                for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+                    const chunk = buffer.subarray(offset, offset + chunkSize);
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length);
+                    socket.write(size);
+                    socket.write(chunk);
+                }
+                socket.end(Buffer.alloc(4));
+            });
+        });
+    }
+});
+
+// Build the scanner selected by MALWARE_SCANNER ("clamav", or unset for none)
+const createScannerFromEnv = (env = process.env) => {
+    if (env.MALWARE_SCANNER === 'clamav') {
+        return createClamAvScanner({
+            host: env.CLAMAV_HOST || undefined,
+            port: parseInt(env.CLAMAV_PORT) || undefined,
+            timeoutMs: parseInt(env.CLAMAV_TIMEOUT_MS) || undefined
+        });
+    }
+    if (env.MALWARE_SCANNER && env.MALWARE_SCANNER !== 'none') {
+        throw new Error(`Unknown MALWARE_SCANNER: ${env.MALWARE_SCANNER}`);
+    }
+    return noopScanner;
+};
+
+let scanner = null;
+
+// Shared scanner for the app
+const getScanner = () => {
+    if (!scanner) {
+        scanner = createScannerFromEnv();
+    }
+    return scanner;
+};
+
+// Plug in a different scanner, e.g. a hosted scanning API
+const setScanner = (customScanner) => {
+    scanner = customScanner;
+};
+
+module.exports = {
+    noopScanner,
+    createClamAvScanner,
+    createScannerFromEnv,
+    getScanner,
+    setScanner
+};
@@ -0,0 +1,134 @@
+const Job = require('../models/Job');
+const Alert = require('../models/Alert');
+const SavedSearch = require('../models/SavedSearch');
+const { buildJobSearch } = require('./jobSearch');
+
+// Matching of new and updated jobs against saved searches, and the digests for
+// searches that are not announced instantly.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time between digests for each non-instant frequency
+const DIGEST_INTERVAL_MS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS
+};
+
+// Check whether an open job matches a saved search's criteria
+const jobMatchesSearch = async (job, savedSearch) => {
+    const { filter } = buildJobSearch(savedSearch.criteria);
+    filter._id = job._id;
+    filter.deadline = { ...filter.deadline, $gt: new Date() };
+
+    return !!(await Job.exists(filter));
+};
+
+const matchMessage = (savedSearch, job) => `New job matching "${savedSearch.name}": ${job.title} at ${job.company}`;
+
+// Announce a job to every saved search it matches: an alert right away for instant
+// searches, a place in the next digest for the others
+const matchSavedSearches = async (job) => {
+    if (!job.isActive || job.deadline <= new Date()) return 0;
+
+    let matched = 0;
+    const poster = job.postedBy?._id || job.postedBy;
+    const cursor = SavedSearch.find({ matchedJobs: { $ne: job._id }, user: { $ne: poster } }).cursor();
+
+    for await (const savedSearch of cursor) {
+        if (!(await jobMatchesSearch(job, savedSearch))) continue;
+
+        if (savedSearch.frequency === 'instant') {
+            await Alert.create({
+                userId: savedSearch.user,
+                type: 'jobMatch',
+                message: matchMessage(savedSearch, job),
+                jobId: job._id,
+                savedSearchId: savedSearch._id
+            });
+            await SavedSearch.updateOne(
+                { _id: savedSearch._id },
+                { $addToSet: { matchedJobs: job._id }, lastNotifiedAt: new Date() }
+            );
+        } else {
+            await SavedSearch.updateOne(
+                { _id: savedSearch._id },
+                { $addToSet: { matchedJobs: job._id, pendingJobs: job._id } }
+            );
+        }
+        matched++;
+    }
+
+    return matched;
+};
+
+// Run the matcher after the response has been sent; a failure must not affect the request
+const queueSavedSearchMatching = (job) => {
+    setImmediate(() => {
+        matchSavedSearches(job).catch(error => {
+            console.warn('Saved search matching failed:', error?.message || error);
+        });
+    });
+};
+
+// Send one alert for the open jobs waiting in a search's digest and clear the digest;
+// returns whether an alert was created
+const sendDigest = async (savedSearch, now = new Date()) => {
+    // Skip jobs that closed while waiting for the digest
+    const jobs = await Job.find({
+        _id: { $in: savedSearch.pendingJobs },
+        isActive: true,
+        deadline: { $gt: now }
+    }).select('title company').sort({ createdAt: -1 });
+
+    if (jobs.length) {
+        await Alert.create({
+            userId: savedSearch.user,
+            type: 'jobMatch',
+            message: jobs.length === 1
+                ? matchMessage(savedSearch, jobs[0])
+                : `${jobs.length} new jobs match "${savedSearch.name}", including ${jobs[0].title} at ${jobs[0].company}`,
+            jobId: jobs[0]._id,
+            savedSearchId: savedSearch._id
+        });
+    }
+
+    await SavedSearch.updateOne(
+        { _id: savedSearch._id },
+        { $pull: { pendingJobs: { $in: savedSearch.pendingJobs } }, lastNotifiedAt: now }
+    );
+
+    return jobs.length > 0;
+};
+
+// Send one alert per daily or weekly search whose digest is due. Meant to run on a
+// schedule (e.g. an hourly cron job); returns the number of alerts created.
+const sendSavedSearchDigests = async (now = new Date()) => {
+    let sent = 0;
+
+    for (const [frequency, interval] of Object.entries(DIGEST_INTERVAL_MS)) {
+        const due = new Date(now.getTime() - interval);
+        const cursor = SavedSearch.find({
+            frequency,
+            'pendingJobs.0': { $exists: true },
+            // The first digest covers the period since the search was saved
+            $or: [
+                { lastNotifiedAt: null, createdAt: { $lte: due } },
+                { lastNotifiedAt: { $lte: due } }
+            ]
+        }).cursor();
+
+        for await (const savedSearch of cursor) {
+            if (await sendDigest(savedSearch, now)) sent++;
+        }
+    }
+
+    return sent;
+};
+
+module.exports = {
+    jobMatchesSearch,
+    matchSavedSearches,
+    queueSavedSearchMatching,
+    sendDigest,
+    sendSavedSearchDigests
+};
@@ -0,0 +1,208 @@
+const path = require('path');
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+// Storage backends for uploaded and generated files. Every backend exposes the same
+// put/get/exists/remove methods; files are addressed by "<folder>/<filename>" keys.
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+// Guess a file's content type from its extension
+const contentTypeFor = (filename) => CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Key of a file in an upload folder
+const storageKey = (folder, filename) => `${folder}/${filename}`;
+
+// Filename of a stored variant of a file, e.g. "me-123.webp" -> "me-123-small.webp"
+const variantFilename = (filename, variant) => {
+    const ext = path.extname(filename);
+    return `${path.basename(filename, ext)}-${variant}${ext}`;
+};
+
+// Local filesystem under uploads/ (the default, and what development uses)
+const createLocalStorage = (rootDir = UPLOADS_DIR) => {
+    const resolve = (key) => path.join(rootDir, ...key.split('/'));
+
+    return {
+        driver: 'local',
+
+        async put(key, body) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, body);
+        },
+
+        // Readable stream of the file, or null when it does not exist
+        async get(key) {
+            return (await this.exists(key)) ? fs.createReadStream(resolve(key)) : null;
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolve(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolve(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+// Amazon S3 or an S3-compatible service such as MinIO
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    const isMissing = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+    return {
+        driver: 's3',
+
+        async put(key, body, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType || contentTypeFor(key)
+            }));
+        },
+
+        // Readable stream of the object, or null when it does not exist
+        async get(key) {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Body;
+            } catch (error) {
+                if (isMissing(error)) return null;
+                throw error;
+            }
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                if (isMissing(error)) return false;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+};
+
+// Build the backend selected by STORAGE_DRIVER ("local" or "s3")
+const createStorageFromEnv = (env = process.env) => {
+    if (env.STORAGE_DRIVER === 's3') {
+        if (!env.S3_BUCKET) {
+            throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+        }
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'us-east-1',
+            endpoint: env.S3_ENDPOINT || undefined,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            // MinIO and most self-hosted services need path-style URLs
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+    return createLocalStorage();
+};
+
+let storage = null;
+
+// Shared storage backend for the app
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageFromEnv();
+    }
+    return storage;
+};
+
+// Multer storage engine that buffers each upload (they are size-limited) and writes it
+// to the storage backend. folder(req, file) and filename(req, file) pick the key. The
+// optional hooks run first: inspect(req, file, buffer) can reject the upload, and
+// transform(req, file, buffer) can replace the body and add named variants
+// ({ body, variants: { small: buffer } }) stored next to it. Either may set
+// file.contentType.
+const multerStorage = ({ folder, filename, inspect, transform }) => ({
+    _handleFile(req, file, cb) {
+        const chunks = [];
+        file.stream.on('data', chunk => chunks.push(chunk));
+        file.stream.on('error', cb);
+        file.stream.on('end', async () => {
+            try {
+                let body = Buffer.concat(chunks);
+                let variants = {};
+                if (inspect) {
+                    await inspect(req, file, body);
+                }
+                if (transform) {
+                    ({ body, variants = {} } = await transform(req, file, body));
+                }
+
+                const fileFolder = folder(req, file);
+                const name = filename(req, file);
+                const key = storageKey(fileFolder, name);
+                const contentType = file.contentType || file.mimetype;
+                const variantKeys = Object.keys(variants).map(variant => storageKey(fileFolder, variantFilename(name, variant)));
+
+                await getStorage().put(key, body, { contentType });
+                await Promise.all(Object.values(variants).map((variantBody, i) =>
+                    getStorage().put(variantKeys[i], variantBody, { contentType })));
+
+                cb(null, { folder: fileFolder, filename: name, key, variantKeys, size: body.length });
+            } catch (error) {
+                cb(error);
+            }
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        Promise.all([file.key, ...(file.variantKeys || [])].map(key => getStorage().remove(key)))
+            .then(() => cb(null), cb);
+    }
+});
+
+module.exports = {
+    UPLOADS_DIR,
+    contentTypeFor,
+    storageKey,
+    variantFilename,
+    createLocalStorage,
+    createS3Storage,
+    createStorageFromEnv,
+    getStorage,
+    multerStorage
+};